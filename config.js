@@ -0,0 +1,15 @@
+// config.js - Deployment settings for HeadSynth
+//
+// assets.profile:
+//   'cdn'     - libraries, Face Mesh model files and piano samples come from public CDNs
+//   'offline' - everything is served by the app from vendor/ and pre-cached by a service
+//               worker, so the app runs with no network once it has been opened.
+//               Fill vendor/ first with: node tools/fetch-offline-assets.mjs
+// assets.baseUrls overrides the base URL of single asset groups on top of the profile:
+//   mediapipe, tone, fontAwesome, pianoSamples (each ends with a slash)
+window.HEADSYNTH_CONFIG = {
+  assets: {
+    profile: 'cdn',
+    baseUrls: {}
+  }
+};
@@ -5,6 +5,26 @@ import { NotesGrid } from './src/js/notes-grid.js';
 import { Looper } from './src/js/looper.js';
 import { UIController } from './src/js/ui-controller.js';
 import { Calibration } from './src/js/calibration.js';
+import { CalibrationTargets } from './src/js/calibration-targets.js';
+import { GestureDetector, GESTURE_DEFINITIONS } from './src/js/gesture-detector.js';
+import { NoteTrigger } from './src/js/note-trigger.js';
+import { Metronome } from './src/js/metronome.js';
+import { SessionStore } from './src/js/session-store.js';
+import { ProfileStore } from './src/js/profile-store.js';
+import { LoopMidiConverter } from './src/js/loop-midi.js';
+import { downloadBlob } from './src/js/download.js';
+import { GuidedPlay } from './src/js/guided-play.js';
+import { NoteVerification } from './src/js/note-verification.js';
+import { OfflineRenderer } from './src/js/offline-renderer.js';
+import { PerformanceRecorder } from './src/js/performance-recorder.js';
+import { PerformanceVideoRecorder } from './src/js/video-recorder.js';
+import { MotionRecorder, MotionPlayer, encodeMotion, decodeMotion } from './src/js/motion-recording.js';
+import { MouseHeadSource, KeyboardHeadSource, ScriptedHeadSource } from './src/js/synthetic-head-sources.js';
+import { LandmarkFileSource, LandmarkRecorder, encodeLandmarks, decodeLandmarks } from './src/js/landmark-file-source.js';
+import { FILTER_PARAMETERS, defaultFilterSettings } from './src/js/motion-filters.js';
+import { TRANSFER_CURVES, defaultTransferSettings } from './src/js/transfer-function.js';
+import { TransferPlot } from './src/js/transfer-plot.js';
+import i18n from './src/js/i18n.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   // Get DOM elements
@@ -14,10 +34,24 @@ document.addEventListener('DOMContentLoaded', () => {
   const notesGrid = document.getElementById('notesGrid');
   const startBtn = document.getElementById('startBtn');
   const calibrateBtn = document.getElementById('calibrateBtn');
+  const calibrationModeSelect = document.getElementById('calibrationModeSelect');
+  const calibrationTargetsCanvas = document.getElementById('calibration-targets');
   const instrumentSelect = document.getElementById('instrumentSelect');
   const scaleSelect = document.getElementById('scaleSelect');
   const volumeSlider = document.getElementById('volumeSlider');
   const reverbSlider = document.getElementById('reverbSlider');
+  const noteAxisSelect = document.getElementById('noteAxisSelect');
+  const velocityAxisSelect = document.getElementById('velocityAxisSelect');
+  const effectAxisSelect = document.getElementById('effectAxisSelect');
+  const inputSourceSelect = document.getElementById('inputSourceSelect');
+  const loadLandmarksBtn = document.getElementById('loadLandmarksBtn');
+  const loadLandmarksInput = document.getElementById('loadLandmarksInput');
+  const recordLandmarksBtn = document.getElementById('recordLandmarksBtn');
+  const recordLandmarksLabel = document.getElementById('recordLandmarksLabel');
+  const driftCompensationCheckbox = document.getElementById('driftCompensationCheckbox');
+  const recenterBtn = document.getElementById('recenterBtn');
+  const triggerModeSelect = document.getElementById('triggerModeSelect');
+  const dwellTimeSlider = document.getElementById('dwellTimeSlider');
   const currentNoteDisplay = document.getElementById('current-note');
   const modeDisplay = document.getElementById('mode-display');
   const headPositionDisplay = document.getElementById('head-position');
@@ -28,14 +62,110 @@ document.addEventListener('DOMContentLoaded', () => {
   const playLoopBtn = document.getElementById('playLoopBtn');
   const stopLoopBtn = document.getElementById('stopLoopBtn');
   const clearLoopBtn = document.getElementById('clearLoopBtn');
+  const overdubModeSelect = document.getElementById('overdubModeSelect');
+  const loopBpmInput = document.getElementById('loopBpmInput');
+  const loopBarsSelect = document.getElementById('loopBarsSelect');
+  const quantizeLoopCheckbox = document.getElementById('quantizeLoopCheckbox');
+  const timeSignatureSelect = document.getElementById('timeSignatureSelect');
+  const countInSelect = document.getElementById('countInSelect');
+  const metronomeCheckbox = document.getElementById('metronomeCheckbox');
+  const beatIndicator = document.getElementById('beatIndicator');
+  
+  // Session controls
+  const sessionNameInput = document.getElementById('sessionNameInput');
+  const saveSessionBtn = document.getElementById('saveSessionBtn');
+  const sessionSelect = document.getElementById('sessionSelect');
+  const loadSessionBtn = document.getElementById('loadSessionBtn');
+  const deleteSessionBtn = document.getElementById('deleteSessionBtn');
+  const exportSessionBtn = document.getElementById('exportSessionBtn');
+  const importSessionBtn = document.getElementById('importSessionBtn');
+  const importSessionInput = document.getElementById('importSessionInput');
+  
+  // Profile controls
+  const profileNameInput = document.getElementById('profileNameInput');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const profileSelect = document.getElementById('profileSelect');
+  const loadProfileBtn = document.getElementById('loadProfileBtn');
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+  const exportProfileBtn = document.getElementById('exportProfileBtn');
+  const importProfileBtn = document.getElementById('importProfileBtn');
+  const importProfileInput = document.getElementById('importProfileInput');
+  const profileModal = document.getElementById('profileModal');
+  const startupProfileSelect = document.getElementById('startupProfileSelect');
+  const useProfileBtn = document.getElementById('useProfileBtn');
+  const skipProfileBtn = document.getElementById('skipProfileBtn');
+  const exportMidiBtn = document.getElementById('exportMidiBtn');
+  const importMidiBtn = document.getElementById('importMidiBtn');
+  const importMidiInput = document.getElementById('importMidiInput');
+  const renderCyclesSelect = document.getElementById('renderCyclesSelect');
+  const renderTailSelect = document.getElementById('renderTailSelect');
+  const renderBitDepthSelect = document.getElementById('renderBitDepthSelect');
+  const renderWavBtn = document.getElementById('renderWavBtn');
+  
+  // Performance recorder
+  const recordPerformanceBtn = document.getElementById('recordPerformanceBtn');
+  const recordPerformanceLabel = document.getElementById('recordPerformanceLabel');
+  const recordingFormatSelect = document.getElementById('recordingFormatSelect');
+  const recordingTime = document.getElementById('recordingTime');
+  const recordingLevel = document.getElementById('recordingLevel');
+  const recordingPeak = document.getElementById('recordingPeak');
+  const recordingResult = document.getElementById('recordingResult');
+  const recordingPlayback = document.getElementById('recordingPlayback');
+  const downloadRecordingBtn = document.getElementById('downloadRecordingBtn');
+  const videoLayerCheckboxes = document.querySelectorAll('[data-video-layer]');
+  const recordVideoBtn = document.getElementById('recordVideoBtn');
+  const recordVideoLabel = document.getElementById('recordVideoLabel');
+  const videoRecordingTime = document.getElementById('videoRecordingTime');
+  const videoResult = document.getElementById('videoResult');
+  const videoPlayback = document.getElementById('videoPlayback');
+  const downloadVideoBtn = document.getElementById('downloadVideoBtn');
+  const recordMotionBtn = document.getElementById('recordMotionBtn');
+  const recordMotionLabel = document.getElementById('recordMotionLabel');
+  const replayMotionBtn = document.getElementById('replayMotionBtn');
+  const replayMotionLabel = document.getElementById('replayMotionLabel');
+  const exportMotionBtn = document.getElementById('exportMotionBtn');
+  const importMotionBtn = document.getElementById('importMotionBtn');
+  const importMotionInput = document.getElementById('importMotionInput');
+  const motionStatus = document.getElementById('motionStatus');
+  
+  // MIDI import and guided play
+  const midiImportModal = document.getElementById('midiImportModal');
+  const midiTrackSelect = document.getElementById('midiTrackSelect');
+  const midiTargetSelect = document.getElementById('midiTargetSelect');
+  const midiScaleHandlingSelect = document.getElementById('midiScaleHandlingSelect');
+  const midiImportReport = document.getElementById('midiImportReport');
+  const confirmMidiImportBtn = document.getElementById('confirmMidiImportBtn');
+  const closeMidiImportBtn = document.getElementById('closeMidiImportBtn');
+  const guidedStatus = document.getElementById('guided-status');
+  const driftStatus = document.getElementById('drift-status');
+  const stopGuidedBtn = document.getElementById('stopGuidedBtn');
   const loopTracks = document.getElementById('loopTracks');
   
+  // Gesture controls
+  const captureNeutralBtn = document.getElementById('captureNeutralBtn');
+  const gestureList = document.getElementById('gestureList');
+  
+  // Motion filter controls
+  const filterAxisSelect = document.getElementById('filterAxisSelect');
+  const filterTypeSelect = document.getElementById('filterTypeSelect');
+  const filterParameterRows = document.querySelectorAll('[data-filter-param]');
+  
+  // Response curve editor
+  const transferAxisSelect = document.getElementById('transferAxisSelect');
+  const transferInputs = document.querySelectorAll('[data-transfer-setting]');
+  const resetTransferBtn = document.getElementById('resetTransferBtn');
+  const transferPlotCanvas = document.getElementById('transferPlot');
+  
   // Modal controls
   const helpBtn = document.getElementById('helpBtn');
   const closeHelpBtn = document.getElementById('closeHelpBtn');
   const helpModal = document.getElementById('helpModal');
   const calibrationModal = document.getElementById('calibrationModal');
   const cancelCalibrationBtn = document.getElementById('cancelCalibrationBtn');
+  const verificationModal = document.getElementById('verificationModal');
+  const verificationReport = document.getElementById('verificationReport');
+  const widenRangesBtn = document.getElementById('widenRangesBtn');
+  const keepRangesBtn = document.getElementById('keepRangesBtn');
   const errorModal = document.getElementById('errorModal');
   const closeErrorBtn = document.getElementById('closeErrorBtn');
   const errorMessage = document.getElementById('errorMessage');
@@ -43,34 +173,212 @@ document.addEventListener('DOMContentLoaded', () => {
   // Application state
   let isRunning = false;
   let isCalibrating = false;
+  let currentVelocity = 0.7;
+  let currentEffectValue = 0.5;
+  let lastRecordedEffectValue = null;
+  
+  // Actions a facial gesture can be bound to
+  const GESTURE_ACTIONS = {
+    none: 'ללא פעולה',
+    note: 'נגן תו',
+    sustain: 'החזקת צליל',
+    loopRecord: 'הקלטת לופ',
+    octaveUp: 'אוקטבה למעלה',
+    octaveDown: 'אוקטבה למטה',
+    recenter: 'מרכוז מחדש'
+  };
+  const GESTURE_NAMES = {
+    mouthOpen: 'פתיחת פה',
+    browRaise: 'הרמת גבות',
+    leftBlink: 'עצימת עין שמאל',
+    rightBlink: 'עצימת עין ימין',
+    smile: 'חיוך'
+  };
+  const AXIS_NAMES = {
+    x: 'תווים',
+    y: 'עוצמה',
+    z: 'אפקטים'
+  };
+  const gestureBindings = loadGestureBindings();
+  const filterSettings = loadFilterSettings();
+  const transferSettings = loadTransferSettings();
   
   // Initialize modules
-  const headTracker = new HeadTracker(video, canvas);
+  // Asset base URLs resolved by asset-loader.js from config.js
+  const assetBaseUrls = window.HEADSYNTH_ASSETS.baseUrls;
+  const headTracker = new HeadTracker(video, canvas, assetBaseUrls.mediapipe);
+  // Anything that can stand in for the tracked head; the camera is the default
+  const inputSources = {
+    camera: headTracker,
+    mouse: new MouseHeadSource(document.querySelector('.camera-container')),
+    keyboard: new KeyboardHeadSource(),
+    sweep: new ScriptedHeadSource({ pattern: 'sweep' }),
+    randomWalk: new ScriptedHeadSource({ pattern: 'randomWalk' }),
+    landmarkFile: new LandmarkFileSource()
+  };
+  let headInput = headTracker;
+  const landmarkRecorder = new LandmarkRecorder();
+  const transferPlot = new TransferPlot(transferPlotCanvas);
   const synthEngine = new SynthEngine();
+  synthEngine.setSampleBaseUrl(assetBaseUrls.pianoSamples);
   const notesGridController = new NotesGrid(notesGrid);
   const looper = new Looper(loopTracks);
   const uiController = new UIController({
     currentNoteDisplay,
     modeDisplay,
     headPositionDisplay,
-    headPositionIndicator
+    headPositionIndicator,
+    beatIndicator
   });
   const calibration = new Calibration(calibrationModal, headTracker);
+  const calibrationTargets = new CalibrationTargets(calibrationTargetsCanvas);
+  const noteVerification = new NoteVerification();
+  let verificationMissed = []; // Notes the last verification round could not reach
+  const gestureDetector = new GestureDetector();
+  const noteTrigger = new NoteTrigger();
+  const metronome = new Metronome();
+  const sessionStore = new SessionStore();
+  const profileStore = new ProfileStore();
+  const midiConverter = new LoopMidiConverter(synthEngine);
+  const guidedPlay = new GuidedPlay();
+  const offlineRenderer = new OfflineRenderer(synthEngine);
+  const performanceRecorder = new PerformanceRecorder(synthEngine);
+  let recording = null;        // Last finished recording: { blob, url, fileName }
+  let recordingMeterFrame = null;
+  const videoRecorder = new PerformanceVideoRecorder(headTracker, notesGridController, synthEngine);
+  let videoRecording = null;   // Last finished video: { blob, url, fileName }
+  let videoTimer = null;
+  const motionRecorder = new MotionRecorder();
+  const motionPlayer = new MotionPlayer();
+  let motion = null;           // Last recorded or imported head-motion performance
+  let importedMidi = null;
   
   // Setup event listeners
   startBtn.addEventListener('click', toggleStart);
   calibrateBtn.addEventListener('click', startCalibration);
   cancelCalibrationBtn.addEventListener('click', cancelCalibration);
+  calibrationModeSelect.addEventListener('change', changeCalibrationMode);
+  driftCompensationCheckbox.addEventListener('change', changeDriftCompensation);
+  recenterBtn.addEventListener('click', recenterHead);
+  widenRangesBtn.addEventListener('click', widenNoteRange);
+  keepRangesBtn.addEventListener('click', () => {
+    verificationModal.style.display = 'none';
+  });
+  noteVerification.onTargetChange = (noteIndex) => notesGridController.setTargetNote(noteIndex);
+  noteVerification.onComplete = handleVerificationComplete;
   instrumentSelect.addEventListener('change', changeInstrument);
   scaleSelect.addEventListener('change', changeScale);
   volumeSlider.addEventListener('input', changeVolume);
   reverbSlider.addEventListener('input', changeReverb);
+  noteAxisSelect.addEventListener('change', () => changeAxisSource('x', noteAxisSelect.value));
+  velocityAxisSelect.addEventListener('change', () => changeAxisSource('y', velocityAxisSelect.value));
+  effectAxisSelect.addEventListener('change', () => changeAxisSource('z', effectAxisSelect.value));
+  inputSourceSelect.addEventListener('change', changeInputSource);
+  loadLandmarksBtn.addEventListener('click', () => loadLandmarksInput.click());
+  loadLandmarksInput.addEventListener('change', loadLandmarks);
+  recordLandmarksBtn.addEventListener('click', toggleLandmarkRecording);
+  triggerModeSelect.addEventListener('change', changeTriggerMode);
+  dwellTimeSlider.addEventListener('input', changeDwellTime);
   
   // Looper event listeners
   recordLoopBtn.addEventListener('click', toggleRecordLoop);
   playLoopBtn.addEventListener('click', playLoop);
   stopLoopBtn.addEventListener('click', stopLoop);
   clearLoopBtn.addEventListener('click', clearLoop);
+  overdubModeSelect.addEventListener('change', () => looper.setOverdubMode(overdubModeSelect.value));
+  looper.onOverdubToggle = toggleOverdub;
+  loopBpmInput.addEventListener('change', changeTempo);
+  loopBarsSelect.addEventListener('change', changeLoopBars);
+  quantizeLoopCheckbox.addEventListener('change', () => looper.setQuantizeEnabled(quantizeLoopCheckbox.checked));
+  timeSignatureSelect.addEventListener('change', changeTimeSignature);
+  countInSelect.addEventListener('change', () => looper.setCountIn(parseInt(countInSelect.value, 10)));
+  metronomeCheckbox.addEventListener('change', () => metronome.setEnabled(metronomeCheckbox.checked));
+  looper.onCountIn = (start, end) => metronome.countIn(start, end);
+  metronome.onBeat = (beatInfo) => uiController.setBeat(beatInfo);
+  saveSessionBtn.addEventListener('click', saveSession);
+  loadSessionBtn.addEventListener('click', loadSession);
+  deleteSessionBtn.addEventListener('click', deleteSession);
+  exportSessionBtn.addEventListener('click', exportSession);
+  importSessionBtn.addEventListener('click', () => importSessionInput.click());
+  importSessionInput.addEventListener('change', importSession);
+  
+  // Profile event listeners
+  saveProfileBtn.addEventListener('click', saveProfile);
+  loadProfileBtn.addEventListener('click', () => loadProfile(profileSelect.value));
+  deleteProfileBtn.addEventListener('click', deleteProfile);
+  exportProfileBtn.addEventListener('click', exportProfile);
+  importProfileBtn.addEventListener('click', () => importProfileInput.click());
+  importProfileInput.addEventListener('change', importProfile);
+  useProfileBtn.addEventListener('click', () => {
+    profileModal.style.display = 'none';
+    loadProfile(startupProfileSelect.value);
+  });
+  skipProfileBtn.addEventListener('click', () => {
+    profileModal.style.display = 'none';
+  });
+  exportMidiBtn.addEventListener('click', exportMidi);
+  importMidiBtn.addEventListener('click', () => importMidiInput.click());
+  importMidiInput.addEventListener('change', openMidiImport);
+  renderWavBtn.addEventListener('click', renderWav);
+  recordPerformanceBtn.addEventListener('click', togglePerformanceRecording);
+  downloadRecordingBtn.addEventListener('click', () => {
+    if (recording) downloadBlob(recording.blob, recording.fileName);
+  });
+  videoLayerCheckboxes.forEach(checkbox => {
+    checkbox.addEventListener('change', () => videoRecorder.setLayer(checkbox.dataset.videoLayer, checkbox.checked));
+  });
+  recordVideoBtn.addEventListener('click', toggleVideoRecording);
+  recordMotionBtn.addEventListener('click', toggleMotionRecording);
+  replayMotionBtn.addEventListener('click', toggleMotionReplay);
+  exportMotionBtn.addEventListener('click', exportMotion);
+  importMotionBtn.addEventListener('click', () => importMotionInput.click());
+  importMotionInput.addEventListener('change', importMotion);
+  // Recorded poses go through the current source, so its mapping and calibration apply
+  motionPlayer.onFrame = (pose, timestamp) => headInput.replayPose(pose, timestamp);
+  motionPlayer.onEnd = finishMotionReplay;
+  downloadVideoBtn.addEventListener('click', () => {
+    if (videoRecording) downloadBlob(videoRecording.blob, videoRecording.fileName);
+  });
+  confirmMidiImportBtn.addEventListener('click', importMidi);
+  closeMidiImportBtn.addEventListener('click', closeMidiImport);
+  stopGuidedBtn.addEventListener('click', () => guidedPlay.stop());
+  guidedPlay.onTargetChange = updateGuidedTarget;
+  guidedPlay.onComplete = ({ hits, misses, length }) => {
+    showMessage(`כל הכבוד! ניגנת ${length} תווים (${misses} החטאות)`);
+  };
+  
+  // The first quantized loop stops by itself when the master cycle is full
+  looper.onRecordingEnd = () => {
+    if (looper.isRecording()) {
+      toggleRecordLoop();
+    }
+  };
+  
+  // Gesture event listeners
+  captureNeutralBtn.addEventListener('click', captureNeutralFace);
+  
+  // Motion filter event listeners
+  filterAxisSelect.addEventListener('change', updateFilterControls);
+  filterTypeSelect.addEventListener('change', () => {
+    // A new filter type starts from its own defaults
+    setAxisFilter(filterAxisSelect.value, defaultFilterSettings(filterTypeSelect.value));
+  });
+  filterParameterRows.forEach(row => {
+    row.querySelector('input').addEventListener('input', (event) => {
+      const axis = filterAxisSelect.value;
+      setAxisFilter(axis, { ...filterSettings[axis], [row.dataset.filterParam]: parseFloat(event.target.value) });
+    });
+  });
+  
+  // Response curve event listeners
+  transferAxisSelect.addEventListener('change', updateTransferControls);
+  transferInputs.forEach(input => {
+    input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+      const axis = transferAxisSelect.value;
+      setAxisTransfer(axis, { ...transferSettings[axis], [input.dataset.transferSetting]: readTransferInput(input) });
+    });
+  });
+  resetTransferBtn.addEventListener('click', () => setAxisTransfer(transferAxisSelect.value, defaultTransferSettings()));
   
   // Modal event listeners
   helpBtn.addEventListener('click', showHelpModal);
@@ -88,19 +396,74 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Initialize the synth engine
       await synthEngine.init();
+      looper.setOutput(synthEngine.loopBus, synthEngine.sendEffects);
+      looper.setTempo(parseFloat(loopBpmInput.value));
+      looper.setTimeSignature(parseInt(timeSignatureSelect.value, 10));
+      looper.setBarCount(parseInt(loopBarsSelect.value, 10));
+      looper.setCountIn(parseInt(countInSelect.value, 10));
+      metronome.init(synthEngine.limiter);
+      refreshSessionList();
+      
+      // Build each new track's voice as soon as it exists, so samples are loaded before it plays
+      looper.onTrackAdded = (track) => {
+        track.voice = synthEngine.createVoice(track.channel, track.sound);
+      };
       
       // Setup the notes grid with the current scale
       notesGridController.setupGrid(synthEngine.getCurrentScale());
       
-      // Register head tracker callbacks
-      headTracker.onHeadMove = handleHeadMove;
+      // The note trigger decides when notes start and stop, so the engine must not auto-release
+      synthEngine.setAutoRelease(false);
+      noteTrigger.setNoteCount(synthEngine.getCurrentScale().length);
+      noteTrigger.onNoteOn = handleNoteOn;
+      noteTrigger.onNoteOff = handleNoteOff;
+      noteTrigger.onDwellProgress = (zone, progress) => notesGridController.setPendingNote(zone, progress);
+      noteTrigger.onZoneChange = () => notesGridController.setPendingNote(-1);
+      
+      // Register head input callbacks; every source feeds the same handlers
+      // While a recorded performance replays, the source emits its poses instead of live ones
+      Object.values(inputSources).forEach(source => {
+        source.onHeadMove = (headData) => {
+          motionRecorder.record(headData);
+          transferPlot.setInput(headData.input[transferAxisSelect.value]);
+          handleHeadMove(headData);
+        };
+        source.onDriftChange = updateDriftStatus;
+        source.onLandmarks = (landmarks, width, height) => {
+          landmarkRecorder.record(landmarks, width, height);
+          if (!isCalibrating) {
+            gestureDetector.update(landmarks, width, height);
+          }
+        };
+      });
+      
+      // Every input source uses the user's motion filters
+      Object.keys(filterSettings).forEach(axis => {
+        Object.values(inputSources).forEach(source => source.setFilter(axis, filterSettings[axis]));
+      });
+      updateFilterControls();
+      Object.keys(transferSettings).forEach(axis => {
+        Object.values(inputSources).forEach(source => source.setTransfer(axis, transferSettings[axis]));
+      });
+      updateTransferControls();
+      
+      // Register gesture callbacks and build the gesture panel
+      gestureDetector.onGesture = handleGesture;
+      gestureDetector.onMetrics = updateGestureLevels;
+      setupGesturePanel();
       
       // Register calibration callbacks
       calibration.onCalibrationComplete = handleCalibrationComplete;
       calibration.onCalibrationFailed = handleCalibrationFailed;
+      calibrationModeSelect.value = localStorage.getItem('headSynthCalibrationMode') === 'targets' ? 'targets' : 'timed';
+      calibration.setMode(calibrationModeSelect.value, calibrationTargets);
       
-      // Show help modal on first run
-      showHelpModal();
+      // Background re-centering is off unless the user turned it on
+      driftCompensationCheckbox.checked = localStorage.getItem('headSynthDriftCompensation') === 'true';
+      changeDriftCompensation();
+      
+      // Returning users pick their profile; everyone else gets the help modal
+      showStartupDialog();
       
       console.log('HeadSynth initialized successfully');
     } catch (error) {
@@ -133,7 +496,7 @@ document.addEventListener('DOMContentLoaded', () => {
       showMessage('מבקש גישה למצלמה...');
       
       // Start camera with more explicit error handling
-      await headTracker.start();
+      await headInput.start();
       
       // Start the synth engine
       synthEngine.start();
@@ -168,7 +531,13 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   function stopApplication() {
-    headTracker.stop();
+    gestureDetector.reset();
+    noteVerification.stop();
+    noteTrigger.releaseAll();
+    if (landmarkRecorder.isRecording()) {
+      toggleLandmarkRecording();
+    }
+    headInput.stop();
     synthEngine.stop();
     isRunning = false;
     startBtn.textContent = 'הפעל מצלמה';
@@ -193,6 +562,8 @@ document.addEventListener('DOMContentLoaded', () => {
       calibrateBtn.textContent = 'מפעיל כיול...';
       
       isCalibrating = true;
+      // Targets are drawn over the camera view, so the modal moves out of its way
+      calibrationModal.classList.toggle('modal-docked', calibration.mode === 'targets');
       calibrationModal.style.display = 'flex';
       calibration.start();
     } catch (error) {
@@ -219,16 +590,92 @@ document.addEventListener('DOMContentLoaded', () => {
   function handleCalibrationComplete(calibrationData) {
     isCalibrating = false;
     calibrationModal.style.display = 'none';
-    headTracker.setCalibrationData(calibrationData);
-    showMessage('הכיול הושלם בהצלחה!');
+    headInput.setCalibrationData(calibrationData);
+    showCalibrationQuality(calibrationData.quality);
     
     // Reset button state
     calibrateBtn.disabled = false;
     calibrateBtn.textContent = 'כיול מצלמה';
     
     // Automatically start the application after successful calibration
-    if (!isRunning) {
-      startApplication();
+    // Target calibration goes on to check that every note can be reached
+    const verify = calibration.mode === 'targets';
+    (isRunning ? Promise.resolve() : startApplication()).then(() => {
+      if (verify && isRunning) {
+        startNoteVerification();
+      }
+    });
+  }
+  
+  function changeCalibrationMode() {
+    calibration.setMode(calibrationModeSelect.value, calibrationTargets);
+    localStorage.setItem('headSynthCalibrationMode', calibration.mode);
+  }
+  
+  function startNoteVerification() {
+    // The round uses the notes grid target, like guided play
+    guidedPlay.stop();
+    if (noteVerification.start(synthEngine.getCurrentScale().length)) {
+      showMessage('בדיקת טווח: נגן כל תו מסומן, מהנמוך לגבוה');
+    }
+  }
+  
+  function handleVerificationComplete({ missed, length }) {
+    if (missed.length === 0) {
+      showMessage(`מצוין! הגעת לכל ${length} התווים`);
+      return;
+    }
+    
+    verificationMissed = missed;
+    const scale = synthEngine.getCurrentScale();
+    const notes = missed.map(noteIndex => i18n.getNoteDisplayName(scale[noteIndex])).join(', ');
+    verificationReport.textContent = `${length - missed.length} מתוך ${length} תווים הושגו. לא הושגו: ${notes}. ` +
+      'להרחיב את הטווח כך שתנועה קטנה יותר תגיע לתווים האלה?';
+    verificationModal.style.display = 'flex';
+  }
+  
+  function widenNoteRange() {
+    verificationModal.style.display = 'none';
+    
+    // Low notes lie on the negative side of the note axis unless its response curve inverts it;
+    // a mirrored axis has its edge notes on both sides
+    const noteCount = synthEngine.getCurrentScale().length;
+    const { invert, mirror } = transferSettings.x;
+    const sides = new Set();
+    verificationMissed.forEach(noteIndex => {
+      if (mirror) {
+        sides.add('negative');
+        sides.add('positive');
+      } else {
+        sides.add((noteIndex < noteCount / 2) !== invert ? 'negative' : 'positive');
+      }
+    });
+    
+    // A shorter calibrated reach means less head movement to get to the edge notes
+    const calibrationData = { ...headInput.calibrationData };
+    sides.forEach(side => {
+      const widened = calibrationData[`${side}RangeX`] * 0.8;
+      calibrationData[`${side}RangeX`] = Math.max(calibration.getMinExtent('x'), widened);
+    });
+    calibrationData.rangeX = calibrationData.negativeRangeX + calibrationData.positiveRangeX;
+    headInput.setCalibrationData(calibrationData);
+    
+    showMessage('הטווח הורחב - בודקים שוב');
+    startNoteVerification();
+  }
+  
+  function showCalibrationQuality(quality) {
+    showMessage(`הכיול הושלם בהצלחה! איכות: ${quality.score}/100`);
+    
+    // Weak axes get a lasting notice, so the user can recalibrate or adjust the response curves
+    const weakAxes = Object.keys(quality.axes).filter(axis => quality.axes[axis].weak);
+    if (weakAxes.length > 0) {
+      const details = weakAxes.map(axis => {
+        const { score, issues } = quality.axes[axis];
+        const reason = issues.length > 0 ? ` - ${calibration.describeIssues(issues)}` : '';
+        return `${AXIS_NAMES[axis]} (${score}/100)${reason}`;
+      });
+      showError(`צירים חלשים בכיול: ${details.join('; ')}. מומלץ לכייל שוב.`);
     }
   }
   
@@ -243,48 +690,81 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   function handleHeadMove(headData) {
-    if (!isRunning || isCalibrating) return;
+    if ((!isRunning && !motionPlayer.isPlaying()) || isCalibrating) return;
     
     // Update UI with head position
     uiController.updateHeadPosition(headData);
     
     // Map head movement to musical parameters
-    const noteIndex = mapHeadXToNoteIndex(headData.x);
     const velocity = mapHeadYToVelocity(headData.y);
     const effectValue = mapHeadZToEffect(headData.z);
+    currentVelocity = velocity;
+    currentEffectValue = effectValue;
     
-    // Update the current note in the UI
-    if (noteIndex >= 0 && noteIndex < synthEngine.getCurrentScale().length) {
-      const currentNote = synthEngine.getCurrentScale()[noteIndex];
-      uiController.setCurrentNote(currentNote);
-      notesGridController.highlightNote(noteIndex);
-      
-      // Play the note
-      synthEngine.playNote(noteIndex, velocity);
-      
-      // Apply effect based on head rotation
-      synthEngine.setEffectValue(effectValue);
-      
-      // Record note to looper if recording
-      // FIX: Use the isRecording() method correctly
-      if (looper.isRecording()) {
-        looper.recordEvent({
-          type: 'note',
-          noteIndex,
-          velocity,
-          effectValue,
-          timestamp: Date.now()
-        });
-      }
+    // The note trigger turns the horizontal position into note-on/note-off events
+    // Replayed data carries its own timestamps, so dwell timing is reproduced exactly
+    noteTrigger.update(headData.x, velocity, headData.timestamp);
+    
+    // Apply effect based on head rotation
+    synthEngine.setEffectValue(effectValue);
+    
+    // Record effect changes to the looper, skipping tiny movements
+    if (isLoopCapturing() &&
+        (lastRecordedEffectValue === null || Math.abs(effectValue - lastRecordedEffectValue) >= 0.02)) {
+      lastRecordedEffectValue = effectValue;
+      looper.recordEvent({
+        type: 'effect',
+        effectValue
+      });
     }
   }
   
-  function mapHeadXToNoteIndex(x) {
-    // Map the horizontal head position to a note index
-    // x is normalized from -1 (left) to 1 (right)
-    const scaleLength = synthEngine.getCurrentScale().length;
-    const index = Math.floor(((x + 1) / 2) * scaleLength);
-    return Math.max(0, Math.min(scaleLength - 1, index));
+  function handleNoteOn({ noteIndex, velocity, time }) {
+    synthEngine.playNote(noteIndex, velocity, time);
+    guidedPlay.handleNote(noteIndex);
+    noteVerification.handleNote(noteIndex);
+    
+    // Update the current note in the UI, in sync with the sound when it was scheduled ahead
+    const scale = synthEngine.getCurrentScale();
+    const updateUI = () => {
+      uiController.setCurrentNote(scale[noteIndex]);
+      notesGridController.setPendingNote(-1);
+      notesGridController.highlightNote(noteIndex, velocity);
+    };
+    if (time !== undefined) {
+      Tone.Draw.schedule(updateUI, time);
+    } else {
+      updateUI();
+    }
+    
+    // Record note to looper if recording
+    if (isLoopCapturing()) {
+      looper.recordEvent({
+        type: 'note',
+        noteIndex,
+        velocity,
+        octave: synthEngine.octave,
+        effectValue: currentEffectValue
+      });
+    }
+  }
+  
+  function handleNoteOff({ noteIndex, time }) {
+    synthEngine.releaseNote(noteIndex, time);
+    
+    if (time !== undefined) {
+      Tone.Draw.schedule(() => notesGridController.releaseNote(noteIndex), time);
+    } else {
+      notesGridController.releaseNote(noteIndex);
+    }
+    
+    if (isLoopCapturing()) {
+      looper.recordEvent({
+        type: 'noteOff',
+        noteIndex,
+        octave: synthEngine.octave
+      });
+    }
   }
   
   function mapHeadYToVelocity(y) {
@@ -307,11 +787,140 @@ document.addEventListener('DOMContentLoaded', () => {
   
   function changeScale() {
     const scale = scaleSelect.value;
+    noteTrigger.releaseAll();
+    
+    // A guided song's notes belong to the old scale
+    guidedPlay.stop();
+    noteVerification.stop();
     synthEngine.setScale(scale);
+    noteTrigger.setNoteCount(synthEngine.getCurrentScale().length);
     notesGridController.setupGrid(synthEngine.getCurrentScale());
     showMessage(`סולם: ${scale}`);
   }
   
+  function changeAxisSource(axis, source) {
+    // Each axis can follow either head rotation or head translation
+    headInput.setAxisSource(axis, source);
+    showMessage(source === 'rotation' ? 'מעקב לפי סיבוב הראש' : 'מעקב לפי תזוזת הראש');
+  }
+  
+  function changeDriftCompensation() {
+    const enabled = driftCompensationCheckbox.checked;
+    Object.values(inputSources).forEach(source => source.setDriftCompensation(enabled));
+    localStorage.setItem('headSynthDriftCompensation', enabled);
+    updateDriftStatus({ active: false });
+  }
+  
+  function recenterHead() {
+    if (!headInput.isRunning) {
+      showMessage('יש להפעיל את המערכת לפני המרכוז');
+      return;
+    }
+    headInput.recenter();
+    showMessage('המרכז עודכן למיקום הראש הנוכחי');
+  }
+  
+  function updateDriftStatus({ active }) {
+    // Shown while drift compensation is on, highlighted while it is moving the center
+    driftStatus.style.display = driftCompensationCheckbox.checked ? '' : 'none';
+    driftStatus.classList.toggle('active', active);
+    driftStatus.querySelector('.status-value').textContent = active ? 'מתקן' : 'ממתין';
+  }
+  
+  function changeInputSource() {
+    const source = inputSources[inputSourceSelect.value];
+    if (!source || source === headInput) return;
+    
+    // A replay plays through the source it was started on
+    stopMotionReplay();
+    
+    const wasRunning = isRunning;
+    if (wasRunning) {
+      stopApplication();
+    }
+    
+    // The new source follows the same axis mapping; each source keeps its own calibration
+    headInput = source;
+    headInput.setAxisSource('x', noteAxisSelect.value);
+    headInput.setAxisSource('y', velocityAxisSelect.value);
+    headInput.setAxisSource('z', effectAxisSelect.value);
+    calibration.setInputSource(headInput);
+    recordLandmarksBtn.disabled = headInput !== headTracker;
+    
+    if (headInput === inputSources.landmarkFile && !inputSources.landmarkFile.hasFile()) {
+      showMessage('טען קובץ נקודות פנים כדי להפעיל את המקור');
+      return;
+    }
+    showMessage(`מקור קלט: ${inputSourceSelect.options[inputSourceSelect.selectedIndex].text}`);
+    
+    if (wasRunning) {
+      startApplication();
+    }
+  }
+  
+  function toggleLandmarkRecording() {
+    if (landmarkRecorder.isRecording()) {
+      setButtonLabel(recordLandmarksLabel, 'recordLandmarks');
+      recordLandmarksBtn.classList.remove('active');
+      
+      const recorded = landmarkRecorder.stop();
+      if (!recorded) {
+        showMessage('לא הוקלטו נקודות פנים');
+        return;
+      }
+      
+      // The recording is ready to play back right away, and downloaded for later sessions
+      inputSources.landmarkFile.load(recorded);
+      downloadBlob(new Blob([encodeLandmarks(recorded)], { type: 'application/json' }),
+        recordingFileName('landmarks.json'));
+      showMessage(`הוקלטו ${recorded.frames.length} פריימים של נקודות פנים`);
+      return;
+    }
+    
+    if (!isRunning || headInput !== headTracker) {
+      showMessage('יש להפעיל את המצלמה לפני ההקלטה');
+      return;
+    }
+    
+    landmarkRecorder.start();
+    setButtonLabel(recordLandmarksLabel, 'stopLandmarks');
+    recordLandmarksBtn.classList.add('active');
+  }
+  
+  async function loadLandmarks() {
+    const file = loadLandmarksInput.files[0];
+    loadLandmarksInput.value = '';
+    if (!file) return;
+    
+    const source = inputSources.landmarkFile;
+    try {
+      const wasPlaying = source.isRunning;
+      source.stop();
+      source.load(decodeLandmarks(await file.text()));
+      showMessage('קובץ נקודות הפנים נטען');
+      
+      if (wasPlaying) {
+        await source.start();
+      } else if (headInput === source && !isRunning) {
+        startApplication();
+      }
+    } catch (error) {
+      console.error('Error loading landmarks:', error);
+      showError('שגיאה בטעינת קובץ נקודות הפנים: ' + error.message);
+    }
+  }
+  
+  function changeTriggerMode() {
+    noteTrigger.setMode(triggerModeSelect.value);
+    notesGridController.setPendingNote(-1);
+    dwellTimeSlider.disabled = triggerModeSelect.value !== 'dwell';
+    showMessage(`מצב נגינה: ${triggerModeSelect.options[triggerModeSelect.selectedIndex].textContent}`);
+  }
+  
+  function changeDwellTime() {
+    noteTrigger.setDwellTime(parseFloat(dwellTimeSlider.value));
+  }
+  
   function changeVolume() {
     const volume = parseFloat(volumeSlider.value);
     synthEngine.setVolume(volume);
@@ -322,38 +931,1071 @@ document.addEventListener('DOMContentLoaded', () => {
     synthEngine.setReverbAmount(reverbAmount);
   }
   
+  // Gesture functions
+  function handleGesture({ name, active }) {
+    if (!isRunning || isCalibrating) return;
+    
+    const row = gestureList.querySelector(`[data-gesture="${name}"]`);
+    if (row) {
+      row.classList.toggle('active', active);
+    }
+    
+    switch (gestureBindings[name]) {
+      case 'note':
+        // Gates notes in gesture trigger mode, re-strikes the current note otherwise
+        if (active) {
+          noteTrigger.gestureStart(currentVelocity);
+        } else {
+          noteTrigger.gestureEnd();
+        }
+        break;
+        
+      case 'sustain':
+        synthEngine.setSustain(active);
+        break;
+        
+      case 'loopRecord':
+        if (active) {
+          toggleRecordLoop();
+        }
+        break;
+        
+      case 'recenter':
+        if (active) {
+          recenterHead();
+        }
+        break;
+        
+      case 'octaveUp':
+      case 'octaveDown':
+        if (active) {
+          const step = gestureBindings[name] === 'octaveUp' ? 1 : -1;
+          // Close the held note first, so a loop records its noteOff in the octave it started in
+          noteTrigger.releaseAll();
+          synthEngine.setOctave(synthEngine.octave + step);
+          showMessage(`אוקטבה: ${synthEngine.octave}`);
+        }
+        break;
+    }
+  }
+  
+  function setupGesturePanel() {
+    gestureList.innerHTML = '';
+    
+    Object.keys(GESTURE_DEFINITIONS).forEach(name => {
+      const definition = GESTURE_DEFINITIONS[name];
+      
+      const row = document.createElement('div');
+      row.className = 'gesture-row';
+      row.dataset.gesture = name;
+      
+      const label = document.createElement('span');
+      label.textContent = GESTURE_NAMES[name];
+      
+      // Action binding
+      const actionSelect = document.createElement('select');
+      actionSelect.className = 'selector';
+      Object.keys(GESTURE_ACTIONS).forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = GESTURE_ACTIONS[action];
+        actionSelect.appendChild(option);
+      });
+      actionSelect.value = gestureBindings[name];
+      actionSelect.addEventListener('change', () => {
+        gestureBindings[name] = actionSelect.value;
+        gestureDetector.setEnabled(name, actionSelect.value !== 'none');
+        saveGestureBindings();
+      });
+      gestureDetector.setEnabled(name, gestureBindings[name] !== 'none');
+      
+      // Per-user threshold
+      const thresholdSlider = document.createElement('input');
+      thresholdSlider.type = 'range';
+      thresholdSlider.className = 'slider';
+      thresholdSlider.min = definition.min;
+      thresholdSlider.max = definition.max;
+      thresholdSlider.step = 0.01;
+      thresholdSlider.value = gestureDetector.thresholds[name];
+      thresholdSlider.setAttribute('aria-label', `${GESTURE_NAMES[name]} - סף`);
+      thresholdSlider.addEventListener('input', () => {
+        gestureDetector.setThreshold(name, parseFloat(thresholdSlider.value));
+      });
+      
+      // Live level, full at the threshold
+      const level = document.createElement('div');
+      level.className = 'gesture-level';
+      const levelFill = document.createElement('div');
+      levelFill.className = 'gesture-level-fill';
+      level.appendChild(levelFill);
+      
+      row.appendChild(label);
+      row.appendChild(actionSelect);
+      row.appendChild(thresholdSlider);
+      row.appendChild(level);
+      gestureList.appendChild(row);
+    });
+  }
+  
+  function updateGestureLevels(levels) {
+    Object.keys(levels).forEach(name => {
+      const fill = gestureList.querySelector(`[data-gesture="${name}"] .gesture-level-fill`);
+      if (fill) {
+        fill.style.width = `${Math.min(1, levels[name]) * 100}%`;
+      }
+    });
+  }
+  
+  function captureNeutralFace() {
+    if (!isRunning) {
+      showMessage('יש להפעיל את המצלמה תחילה');
+      return;
+    }
+    
+    gestureDetector.onNeutralCaptured = () => {
+      showMessage('ההבעה הניטרלית נשמרה');
+    };
+    gestureDetector.captureNeutral();
+    showMessage('שמור על הבעה רגועה...');
+  }
+  
+  function loadGestureBindings() {
+    const defaults = {
+      mouthOpen: 'note',
+      browRaise: 'none',
+      leftBlink: 'none',
+      rightBlink: 'none',
+      smile: 'none'
+    };
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem('headSynthGestureBindings'));
+      return { ...defaults, ...(stored || {}) };
+    } catch (error) {
+      return defaults;
+    }
+  }
+  
+  function saveGestureBindings() {
+    localStorage.setItem('headSynthGestureBindings', JSON.stringify(gestureBindings));
+  }
+  
+  // Motion filter functions
+  function loadFilterSettings() {
+    const defaults = {
+      x: defaultFilterSettings(),
+      y: defaultFilterSettings(),
+      z: defaultFilterSettings()
+    };
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem('headSynthFilterSettings')) || {};
+      Object.keys(defaults).forEach(axis => {
+        const settings = stored[axis];
+        if (settings && FILTER_PARAMETERS[settings.type]) {
+          defaults[axis] = { ...defaultFilterSettings(settings.type), ...settings };
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load filter settings:', error);
+    }
+    return defaults;
+  }
+  
+  function saveFilterSettings() {
+    localStorage.setItem('headSynthFilterSettings', JSON.stringify(filterSettings));
+  }
+  
+  function setAxisFilter(axis, settings) {
+    filterSettings[axis] = settings;
+    Object.values(inputSources).forEach(source => source.setFilter(axis, settings));
+    saveFilterSettings();
+    updateFilterControls();
+  }
+  
+  // Response curve functions
+  function loadTransferSettings() {
+    const defaults = {
+      x: defaultTransferSettings(),
+      y: defaultTransferSettings(),
+      z: defaultTransferSettings()
+    };
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem('headSynthTransferSettings')) || {};
+      Object.keys(defaults).forEach(axis => {
+        if (stored[axis] && TRANSFER_CURVES.includes(stored[axis].curve)) {
+          defaults[axis] = { ...defaults[axis], ...stored[axis] };
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load response curves:', error);
+    }
+    return defaults;
+  }
+  
+  function saveTransferSettings() {
+    localStorage.setItem('headSynthTransferSettings', JSON.stringify(transferSettings));
+  }
+  
+  function setAxisTransfer(axis, settings) {
+    transferSettings[axis] = settings;
+    Object.values(inputSources).forEach(source => source.setTransfer(axis, settings));
+    saveTransferSettings();
+    updateTransferControls();
+  }
+  
+  function readTransferInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'range') return parseFloat(input.value);
+    return input.value;
+  }
+  
+  function updateTransferControls() {
+    const settings = transferSettings[transferAxisSelect.value];
+    
+    transferInputs.forEach(input => {
+      const value = settings[input.dataset.transferSetting];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+    document.querySelectorAll('[data-transfer-value]').forEach(label => {
+      label.textContent = settings[label.dataset.transferValue];
+    });
+    
+    // The strength only shapes a curve
+    document.querySelector('[data-transfer-setting="exponent"]').disabled = settings.curve === 'linear';
+    
+    transferPlot.setSettings(settings);
+  }
+  
+  function updateFilterControls() {
+    // Show the filter of the selected axis, with only the parameters its type has
+    const settings = filterSettings[filterAxisSelect.value];
+    filterTypeSelect.value = settings.type;
+    
+    filterParameterRows.forEach(row => {
+      const parameter = FILTER_PARAMETERS[settings.type][row.dataset.filterParam];
+      row.style.display = row.dataset.filterType === settings.type ? '' : 'none';
+      if (!parameter) return;
+      
+      const slider = row.querySelector('input');
+      slider.min = parameter.min;
+      slider.max = parameter.max;
+      slider.step = parameter.step;
+      slider.value = settings[row.dataset.filterParam];
+      row.querySelector('.filter-value').textContent = settings[row.dataset.filterParam];
+    });
+  }
+  
   // Looper functions
   function toggleRecordLoop() {
-    // FIX: Use the isRecording() method correctly
     if (looper.isRecording()) {
+      closeLoopNote();
       looper.stopRecording();
+      metronome.cancelCountIn();
       recordLoopBtn.textContent = 'הקלט לופ';
       recordLoopBtn.classList.remove('active');
     } else {
-      looper.startRecording();
+      if (looper.isOverdubbing()) {
+        closeLoopNote();
+        looper.stopOverdub();
+      }
+      lastRecordedEffectValue = null;
+      // The track keeps the sound it was recorded with
+      if (!looper.startRecording(synthEngine.getSoundSettings())) {
+        showMessage('הגעת למספר הערוצים המרבי');
+        return;
+      }
       recordLoopBtn.textContent = 'עצור הקלטה';
       recordLoopBtn.classList.add('active');
+      if (looper.countInBars > 0) {
+        showMessage('ספירה לפני ההקלטה...');
+      } else if (looper.quantizeEnabled) {
+        showMessage('ההקלטה תתחיל בתחילת התיבה הבאה');
+      }
+    }
+  }
+  
+  function toggleOverdub(trackId) {
+    if (looper.isOverdubbing()) {
+      const overdubbedTrack = looper.overdubTrack;
+      closeLoopNote();
+      looper.stopOverdub();
+      
+      // Pressing another track's button moves the overdub there
+      if (overdubbedTrack.id === trackId) return;
+    }
+    
+    if (looper.isRecording()) {
+      showMessage('סיים את הקלטת הלופ לפני הקלטה נוספת');
+      return;
+    }
+    
+    // Overdubbing layers onto the running loop, so start it if needed
+    if (!looper.isPlaying()) {
+      playLoop();
+    }
+    
+    if (looper.startOverdub(trackId)) {
+      lastRecordedEffectValue = null;
+      showMessage('הקלטה נוספת על הערוץ');
+    }
+  }
+  
+  // Close the sounding note so a recording does not end with a hanging note
+  function closeLoopNote() {
+    const activeNote = noteTrigger.getActiveNote();
+    if (activeNote >= 0) {
+      looper.recordEvent({ type: 'noteOff', noteIndex: activeNote, octave: synthEngine.octave });
+    }
+  }
+  
+  function isLoopCapturing() {
+    return looper.isRecording() || looper.isOverdubbing();
+  }
+  
+  function changeTempo() {
+    const bpm = parseFloat(loopBpmInput.value);
+    if (isNaN(bpm) || !looper.setTempo(bpm)) {
+      // Recorded loops are locked to the tempo they were recorded at
+      loopBpmInput.value = looper.bpm;
+      showMessage('לא ניתן לשנות קצב כשיש לופים מוקלטים');
+      return;
+    }
+    loopBpmInput.value = looper.bpm;
+  }
+  
+  function changeTimeSignature() {
+    if (!looper.setTimeSignature(parseInt(timeSignatureSelect.value, 10))) {
+      timeSignatureSelect.value = looper.beatsPerBar;
+      showMessage('לא ניתן לשנות משקל כשיש לופים מוקלטים');
+    }
+  }
+  
+  function changeLoopBars() {
+    if (!looper.setBarCount(parseInt(loopBarsSelect.value, 10))) {
+      loopBarsSelect.value = looper.barCount;
+      showMessage('אורך הלופ נקבע על ידי הלופ הראשון');
     }
   }
   
   function playLoop() {
-    looper.play(event => {
+    // Events arrive ahead of time: schedule the sound at `time` and sync the visuals to it
+    // Each track plays its own voice through its channel strip
+    looper.play((event, time, track) => {
+      if (!track.voice) return;
+      
       if (event.type === 'note') {
-        synthEngine.playNote(event.noteIndex, event.velocity);
-        synthEngine.setEffectValue(event.effectValue);
-        notesGridController.highlightNote(event.noteIndex);
+        track.voice.playNote(event.noteIndex, event.velocity, time, event.octave);
+        looper.setTrackEffectValue(track.id, event.effectValue, time);
+        Tone.Draw.schedule(() => notesGridController.highlightNote(event.noteIndex, event.velocity), time);
+      } else if (event.type === 'noteOff') {
+        track.voice.releaseNote(event.noteIndex, time, event.octave);
+        Tone.Draw.schedule(() => notesGridController.releaseNote(event.noteIndex), time);
+      } else if (event.type === 'effect') {
+        looper.setTrackEffectValue(track.id, event.effectValue, time);
       }
     });
     playLoopBtn.classList.add('active');
   }
   
   function stopLoop() {
+    if (looper.isOverdubbing()) {
+      closeLoopNote();
+    }
     looper.stop();
     playLoopBtn.classList.remove('active');
   }
   
   function clearLoop() {
+    // A count-in, recording or overdub in progress is dropped along with the loops
+    if (looper.isOverdubbing()) {
+      looper.stopOverdub();
+    }
+    if (looper.isRecording()) {
+      metronome.cancelCountIn();
+      recordLoopBtn.textContent = 'הקלט לופ';
+      recordLoopBtn.classList.remove('active');
+    }
     looper.clear();
+    playLoopBtn.classList.remove('active');
+  }
+  
+  // Session functions
+  function createSession(name) {
+    return sessionStore.createDocument(name, {
+      settings: {
+        instrument: synthEngine.currentInstrument,
+        scale: synthEngine.currentScale,
+        octave: synthEngine.octave,
+        volume: parseFloat(volumeSlider.value),
+        reverb: parseFloat(reverbSlider.value),
+        effectValue: currentEffectValue
+      },
+      looper: looper.serialize()
+    });
+  }
+  
+  async function applySession(session) {
+    if (looper.isRecording()) {
+      toggleRecordLoop();
+    }
+    stopLoop();
+    
+    const { settings } = session;
+    if (settings) {
+      if (settings.instrument) {
+        instrumentSelect.value = settings.instrument;
+        await synthEngine.setInstrument(settings.instrument);
+      }
+      if (settings.scale) {
+        scaleSelect.value = settings.scale;
+        changeScale();
+      }
+      if (typeof settings.octave === 'number') {
+        synthEngine.setOctave(settings.octave);
+      }
+      if (typeof settings.volume === 'number') {
+        volumeSlider.value = settings.volume;
+        changeVolume();
+      }
+      if (typeof settings.reverb === 'number') {
+        reverbSlider.value = settings.reverb;
+        changeReverb();
+      }
+      if (typeof settings.effectValue === 'number') {
+        currentEffectValue = settings.effectValue;
+        synthEngine.setEffectValue(currentEffectValue);
+      }
+    }
+    
+    looper.restore(session.looper);
+    
+    // Show the restored loop settings
+    loopBpmInput.value = looper.bpm;
+    timeSignatureSelect.value = looper.beatsPerBar;
+    loopBarsSelect.value = looper.barCount;
+    quantizeLoopCheckbox.checked = looper.quantizeEnabled;
+    sessionNameInput.value = session.name;
+  }
+  
+  async function refreshSessionList() {
+    try {
+      const sessions = await sessionStore.list();
+      sessionSelect.innerHTML = '';
+      sessions.forEach(({ name }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        sessionSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.warn('Could not list sessions:', error);
+    }
+  }
+  
+  async function saveSession() {
+    const name = sessionNameInput.value.trim();
+    if (!name) {
+      showMessage('יש להזין שם לסשן');
+      return;
+    }
+    
+    try {
+      await sessionStore.save(createSession(name));
+      await refreshSessionList();
+      sessionSelect.value = name;
+      showMessage(`הסשן "${name}" נשמר`);
+    } catch (error) {
+      console.error('Error saving session:', error);
+      showError('שגיאה בשמירת הסשן: ' + error.message);
+    }
+  }
+  
+  async function loadSession() {
+    const name = sessionSelect.value;
+    if (!name) return;
+    
+    try {
+      const session = await sessionStore.load(name);
+      if (!session) {
+        showMessage('הסשן לא נמצא');
+        return;
+      }
+      await applySession(session);
+      showMessage(`הסשן "${name}" נטען`);
+    } catch (error) {
+      console.error('Error loading session:', error);
+      showError('שגיאה בטעינת הסשן: ' + error.message);
+    }
+  }
+  
+  async function deleteSession() {
+    const name = sessionSelect.value;
+    if (!name) return;
+    
+    try {
+      await sessionStore.delete(name);
+      await refreshSessionList();
+      showMessage(`הסשן "${name}" נמחק`);
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      showError('שגיאה במחיקת הסשן: ' + error.message);
+    }
+  }
+  
+  function exportSession() {
+    const name = sessionNameInput.value.trim() || sessionSelect.value || 'headsynth';
+    sessionStore.exportToFile(createSession(name));
+  }
+  
+  async function importSession() {
+    const file = importSessionInput.files[0];
+    importSessionInput.value = '';
+    if (!file) return;
+    
+    try {
+      const session = await sessionStore.importFromFile(file);
+      await applySession(session);
+      
+      // Keep the imported session with the saved ones
+      await sessionStore.save(session);
+      await refreshSessionList();
+      sessionSelect.value = session.name;
+      showMessage(`הסשן "${session.name}" יובא`);
+    } catch (error) {
+      console.error('Error importing session:', error);
+      showError('שגיאה בייבוא הסשן: ' + error.message);
+    }
+  }
+  
+  // Profile functions
+  function createProfile(name) {
+    return profileStore.createDocument(name, {
+      calibration: JSON.parse(JSON.stringify(headInput.calibrationData)),
+      axisSources: headInput.getAxisSources(),
+      filters: JSON.parse(JSON.stringify(filterSettings)),
+      transfers: JSON.parse(JSON.stringify(transferSettings))
+    });
+  }
+  
+  function applyProfile(profile) {
+    // Axis mappings first: changing one resets that axis' calibration
+    const axisSelects = { x: noteAxisSelect, y: velocityAxisSelect, z: effectAxisSelect };
+    Object.keys(axisSelects).forEach(axis => {
+      const source = profile.axisSources && profile.axisSources[axis];
+      if (source && headInput.setAxisSource(axis, source)) {
+        axisSelects[axis].value = source;
+      }
+    });
+    headInput.setCalibrationData(profile.calibration);
+    
+    Object.keys(filterSettings).forEach(axis => {
+      const settings = profile.filters && profile.filters[axis];
+      if (settings && FILTER_PARAMETERS[settings.type]) {
+        setAxisFilter(axis, { ...defaultFilterSettings(settings.type), ...settings });
+      }
+    });
+    Object.keys(transferSettings).forEach(axis => {
+      const settings = profile.transfers && profile.transfers[axis];
+      if (settings) {
+        setAxisTransfer(axis, { ...defaultTransferSettings(), ...settings });
+      }
+    });
+    
+    profileNameInput.value = profile.name;
+    localStorage.setItem('headSynthProfile', profile.name);
+  }
+  
+  async function refreshProfileList() {
+    try {
+      const profiles = await profileStore.list();
+      [profileSelect, startupProfileSelect].forEach(select => {
+        select.innerHTML = '';
+        profiles.forEach(({ name }) => {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          select.appendChild(option);
+        });
+      });
+      return profiles;
+    } catch (error) {
+      console.warn('Could not list profiles:', error);
+      return [];
+    }
+  }
+  
+  async function showStartupDialog() {
+    const profiles = await refreshProfileList();
+    if (profiles.length === 0) {
+      showHelpModal();
+      return;
+    }
+    
+    // Offer the profile used last time first
+    const lastProfile = localStorage.getItem('headSynthProfile');
+    if (profiles.some(({ name }) => name === lastProfile)) {
+      startupProfileSelect.value = lastProfile;
+      profileSelect.value = lastProfile;
+    }
+    profileModal.style.display = 'flex';
+  }
+  
+  async function saveProfile() {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+      showMessage('יש להזין שם לפרופיל');
+      return;
+    }
+    
+    try {
+      await profileStore.save(createProfile(name));
+      await refreshProfileList();
+      profileSelect.value = name;
+      localStorage.setItem('headSynthProfile', name);
+      showMessage(`הפרופיל "${name}" נשמר`);
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      showError('שגיאה בשמירת הפרופיל: ' + error.message);
+    }
+  }
+  
+  async function loadProfile(name) {
+    if (!name) return;
+    
+    try {
+      const profile = await profileStore.load(name);
+      if (!profile) {
+        showMessage('הפרופיל לא נמצא');
+        return;
+      }
+      applyProfile(profile);
+      profileSelect.value = name;
+      showMessage(`הפרופיל "${name}" נטען`);
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      showError('שגיאה בטעינת הפרופיל: ' + error.message);
+    }
+  }
+  
+  async function deleteProfile() {
+    const name = profileSelect.value;
+    if (!name) return;
+    
+    try {
+      await profileStore.delete(name);
+      await refreshProfileList();
+      showMessage(`הפרופיל "${name}" נמחק`);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      showError('שגיאה במחיקת הפרופיל: ' + error.message);
+    }
+  }
+  
+  function exportProfile() {
+    const name = profileNameInput.value.trim() || profileSelect.value || 'headsynth';
+    profileStore.exportToFile(createProfile(name));
+  }
+  
+  async function importProfile() {
+    const file = importProfileInput.files[0];
+    importProfileInput.value = '';
+    if (!file) return;
+    
+    try {
+      const profile = await profileStore.importFromFile(file);
+      applyProfile(profile);
+      
+      // Keep the imported profile with the saved ones
+      await profileStore.save(profile);
+      await refreshProfileList();
+      profileSelect.value = profile.name;
+      showMessage(`הפרופיל "${profile.name}" יובא`);
+    } catch (error) {
+      console.error('Error importing profile:', error);
+      showError('שגיאה בייבוא הפרופיל: ' + error.message);
+    }
+  }
+  
+  function exportMidi() {
+    if (looper.getTrackCount() === 0) {
+      showMessage('אין לופים לייצוא');
+      return;
+    }
+    
+    const bytes = midiConverter.toMidi(looper.serialize());
+    const name = sessionNameInput.value.trim() || 'headsynth';
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `${name}.mid`);
+    showMessage('קובץ MIDI נוצר');
+  }
+  
+  async function renderWav() {
+    if (looper.getTrackCount() === 0) {
+      showMessage('אין לופים לייצוא');
+      return;
+    }
+    
+    const bitDepth = parseInt(renderBitDepthSelect.value, 10);
+    renderWavBtn.disabled = true;
+    showMessage('מייצא קובץ WAV...');
+    
+    try {
+      const { blob } = await offlineRenderer.render(looper.serialize(), {
+        cycles: parseInt(renderCyclesSelect.value, 10),
+        tail: parseFloat(renderTailSelect.value),
+        bitDepth
+      });
+      const name = sessionNameInput.value.trim() || 'headsynth';
+      downloadBlob(blob, `${name}-${bitDepth}bit.wav`);
+      showMessage('קובץ WAV נוצר');
+    } catch (error) {
+      console.error('Error rendering WAV:', error);
+      showError('שגיאה בייצוא קובץ ה-WAV: ' + error.message);
+    } finally {
+      renderWavBtn.disabled = false;
+    }
+  }
+  
+  async function openMidiImport() {
+    const file = importMidiInput.files[0];
+    importMidiInput.value = '';
+    if (!file) return;
+    
+    try {
+      importedMidi = midiConverter.readMidi(await file.arrayBuffer());
+    } catch (error) {
+      console.error('Error reading MIDI file:', error);
+      showError('שגיאה בקריאת קובץ ה-MIDI: ' + error.message);
+      return;
+    }
+    
+    // Only tracks with notes can be imported
+    midiTrackSelect.innerHTML = '';
+    importedMidi.tracks.forEach((track, index) => {
+      if (track.notes.length === 0) return;
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `${index + 1}. ${track.name || 'MIDI'} (${track.notes.length})`;
+      midiTrackSelect.appendChild(option);
+    });
+    
+    if (midiTrackSelect.options.length === 0) {
+      showError('אין תווים בקובץ ה-MIDI');
+      importedMidi = null;
+      return;
+    }
+    
+    midiImportReport.textContent = '';
+    confirmMidiImportBtn.disabled = false;
+    midiImportModal.style.display = 'flex';
+  }
+  
+  function importMidi() {
+    if (!importedMidi) return;
+    
+    const asLoop = midiTargetSelect.value === 'loop';
+    let result;
+    try {
+      result = midiConverter.fromMidiTrack(importedMidi, parseInt(midiTrackSelect.value, 10), {
+        scale: synthEngine.currentScale,
+        handling: midiScaleHandlingSelect.value,
+        // Existing loops are tempo-locked, so the new part is timed at their tempo; a first
+        // loop is timed at the file's tempo, within the range the looper supports
+        bpm: asLoop
+          ? (looper.getTrackCount() > 0 ? looper.bpm : looper.clampTempo(midiConverter.getTempo(importedMidi)))
+          : undefined
+      });
+    } catch (error) {
+      showError('שגיאה בייבוא ה-MIDI: ' + error.message);
+      return;
+    }
+    
+    if (asLoop) {
+      if (looper.getTrackCount() === 0) {
+        looper.setTempo(result.bpm);
+        looper.setTimeSignature(result.beatsPerBar);
+        looper.setBarCount(result.bars);
+        loopBpmInput.value = looper.bpm;
+        timeSignatureSelect.value = looper.beatsPerBar;
+      }
+      
+      const sound = { ...synthEngine.getSoundSettings(), scale: result.scale };
+      if (!looper.addTrack({ events: result.events, duration: result.duration, sound }, { fitToCycle: true })) {
+        showError('הגעת למספר הערוצים המרבי');
+        return;
+      }
+    } else {
+      if (result.scale !== synthEngine.currentScale) {
+        scaleSelect.value = result.scale;
+        changeScale();
+      }
+      guidedPlay.start(result.sequence);
+    }
+    
+    midiImportReport.textContent = formatImportReport(result.report, asLoop);
+    confirmMidiImportBtn.disabled = true;
+  }
+  
+  function formatImportReport(report, asLoop) {
+    const lines = [
+      asLoop ? 'נוסף ערוץ לופ חדש.' : 'הנגינה המודרכת התחילה.',
+      `${report.noteCount} תווים יובאו.`
+    ];
+    
+    if (report.outOfScale === 0) {
+      lines.push('כל התווים נמצאים בסולם.');
+    } else if (report.scale !== report.originalScale) {
+      lines.push(`${report.outOfScale} תווים מחוץ לסולם ${report.originalScale} - עברנו לסולם ${report.scale}.`);
+    } else {
+      lines.push(`${report.outOfScale} תווים מחוץ לסולם הוצמדו לתו הקרוב:`);
+      Object.keys(report.changes).forEach(change => {
+        lines.push(`  ${change} (${report.changes[change]})`);
+      });
+    }
+    
+    if (report.tempoChanges > 0) {
+      lines.push('שינויי הקצב בקובץ לא נשמרו.');
+    }
+    if (asLoop && Math.round(report.fileBpm) !== report.bpm) {
+      lines.push(`התווים תוזמנו בקצב ${report.bpm} BPM במקום קצב הקובץ (${Math.round(report.fileBpm)} BPM).`);
+    }
+    return lines.join('\n');
+  }
+  
+  function closeMidiImport() {
+    midiImportModal.style.display = 'none';
+    importedMidi = null;
+  }
+  
+  function updateGuidedTarget(noteIndex, position, length) {
+    notesGridController.setTargetNote(noteIndex);
+    
+    if (noteIndex < 0) {
+      guidedStatus.style.display = 'none';
+      return;
+    }
+    guidedStatus.style.display = '';
+    guidedStatus.querySelector('.status-value').textContent = `${position + 1} / ${length}`;
+  }
+  
+  // Performance recorder functions
+  async function togglePerformanceRecording() {
+    if (performanceRecorder.isRecording()) {
+      await stopPerformanceRecording();
+      return;
+    }
+    
+    if (!isRunning) {
+      showMessage('יש להפעיל את המערכת לפני ההקלטה');
+      return;
+    }
+    
+    try {
+      await performanceRecorder.start(recordingFormatSelect.value);
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      showError('לא ניתן להתחיל הקלטה: ' + error.message);
+      return;
+    }
+    
+    recordPerformanceBtn.classList.add('active');
+    recordingFormatSelect.disabled = true;
+    setButtonLabel(recordPerformanceLabel, 'stopRecording');
+    updateRecordingMeter();
+  }
+  
+  async function stopPerformanceRecording() {
+    cancelAnimationFrame(recordingMeterFrame);
+    recordPerformanceBtn.classList.remove('active');
+    recordingFormatSelect.disabled = false;
+    setButtonLabel(recordPerformanceLabel, 'startRecording');
+    
+    try {
+      const { blob, extension } = await performanceRecorder.stop();
+      
+      if (recording) {
+        URL.revokeObjectURL(recording.url);
+      }
+      recording = { blob, url: URL.createObjectURL(blob), fileName: recordingFileName(extension) };
+      recordingPlayback.src = recording.url;
+      recordingResult.style.display = '';
+      showMessage('ההקלטה מוכנה להאזנה ולהורדה');
+    } catch (error) {
+      console.error('Error stopping recording:', error);
+      showError('שגיאה בשמירת ההקלטה: ' + error.message);
+    }
+  }
+  
+  function updateRecordingMeter() {
+    recordingTime.textContent = formatElapsed(performanceRecorder.getElapsed());
+    
+    // -60 dB to 0 dB fills the meter
+    const { level, peak } = performanceRecorder.getLevel();
+    const toPercent = (db) => Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+    recordingLevel.style.width = `${toPercent(level)}%`;
+    recordingPeak.style.left = `${toPercent(peak)}%`;
+    recordingPeak.title = Number.isFinite(peak) ? `${peak.toFixed(1)} dB` : '';
+    
+    if (performanceRecorder.isRecording()) {
+      recordingMeterFrame = requestAnimationFrame(updateRecordingMeter);
+    }
+  }
+  
+  async function toggleVideoRecording() {
+    if (videoRecorder.isRecording()) {
+      clearInterval(videoTimer);
+      recordVideoBtn.classList.remove('active');
+      setButtonLabel(recordVideoLabel, 'recordVideo');
+      videoLayerCheckboxes.forEach(checkbox => { checkbox.disabled = false; });
+      
+      const blob = await videoRecorder.stop();
+      if (videoRecording) {
+        URL.revokeObjectURL(videoRecording.url);
+      }
+      videoRecording = { blob, url: URL.createObjectURL(blob), fileName: recordingFileName('webm') };
+      videoPlayback.src = videoRecording.url;
+      videoResult.style.display = '';
+      showMessage('הווידאו מוכן להאזנה ולהורדה');
+      return;
+    }
+    
+    if (!isRunning) {
+      showMessage('יש להפעיל את המערכת לפני ההקלטה');
+      return;
+    }
+    
+    try {
+      videoRecorder.start();
+    } catch (error) {
+      console.error('Error starting video recording:', error);
+      showError('לא ניתן להתחיל הקלטת וידאו: ' + error.message);
+      return;
+    }
+    
+    // Layers are fixed once recording starts, because the frame size depends on them
+    videoLayerCheckboxes.forEach(checkbox => { checkbox.disabled = true; });
+    recordVideoBtn.classList.add('active');
+    setButtonLabel(recordVideoLabel, 'stopVideo');
+    videoTimer = setInterval(() => {
+      videoRecordingTime.textContent = formatElapsed(videoRecorder.getElapsed());
+    }, 250);
+  }
+  
+  // Head-motion recording functions
+  function toggleMotionRecording() {
+    if (motionRecorder.isRecording()) {
+      setButtonLabel(recordMotionLabel, 'recordMotion');
+      recordMotionBtn.classList.remove('active');
+      
+      const recorded = motionRecorder.stop();
+      if (recorded) {
+        setMotion(recorded);
+        showMessage(`הוקלטו ${recorded.samples.length} דגימות תנועה`);
+      } else {
+        showMessage('לא הוקלטה תנועה');
+      }
+      return;
+    }
+    
+    if (!isRunning) {
+      showMessage('יש להפעיל את המערכת לפני ההקלטה');
+      return;
+    }
+    
+    stopMotionReplay();
+    motionRecorder.start();
+    setButtonLabel(recordMotionLabel, 'stopMotion');
+    recordMotionBtn.classList.add('active');
+  }
+  
+  function toggleMotionReplay() {
+    if (motionPlayer.isPlaying()) {
+      stopMotionReplay();
+      return;
+    }
+    if (!motion || motionRecorder.isRecording()) return;
+    
+    // The replay drives the current instrument, scale and mapping, with or without the camera
+    noteTrigger.releaseAll();
+    synthEngine.start();
+    headInput.startReplay();
+    motionPlayer.play(motion);
+    setButtonLabel(replayMotionLabel, 'stopReplay');
+    replayMotionBtn.classList.add('active');
+  }
+  
+  function stopMotionReplay() {
+    if (!motionPlayer.isPlaying()) return;
+    motionPlayer.stop();
+    finishMotionReplay();
+  }
+  
+  function finishMotionReplay() {
+    headInput.stopReplay();
+    noteTrigger.releaseAll();
+    if (!isRunning) {
+      synthEngine.stop();
+    }
+    setButtonLabel(replayMotionLabel, 'replayMotion');
+    replayMotionBtn.classList.remove('active');
+  }
+  
+  function setMotion(newMotion) {
+    motion = newMotion;
+    replayMotionBtn.disabled = false;
+    exportMotionBtn.disabled = false;
+    motionStatus.textContent = `${formatElapsed(motion.duration / 1000)} (${motion.samples.length})`;
+  }
+  
+  function exportMotion() {
+    if (!motion) return;
+    downloadBlob(new Blob([encodeMotion(motion)], { type: 'application/json' }), recordingFileName('motion.json'));
+  }
+  
+  async function importMotion() {
+    const file = importMotionInput.files[0];
+    importMotionInput.value = '';
+    if (!file) return;
+    
+    try {
+      stopMotionReplay();
+      setMotion(decodeMotion(await file.text()));
+      showMessage('קובץ התנועה נטען');
+    } catch (error) {
+      console.error('Error importing motion:', error);
+      showError('שגיאה בטעינת קובץ התנועה: ' + error.message);
+    }
+  }
+  
+  function setButtonLabel(labelElement, key) {
+    labelElement.setAttribute('data-i18n', key);
+    labelElement.textContent = i18n.translate(key);
+  }
+  
+  function formatElapsed(totalSeconds) {
+    const elapsed = Math.floor(totalSeconds);
+    const minutes = String(Math.floor(elapsed / 60)).padStart(2, '0');
+    const seconds = String(elapsed % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+  
+  function recordingFileName(extension) {
+    // Session metadata goes in the name: instrument, key and scale, tempo and date
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const name = sessionNameInput.value.trim() || 'headsynth';
+    const parts = [
+      name,
+      synthEngine.currentInstrument,
+      `${synthEngine.baseNote}-${synthEngine.currentScale}`,
+      `${looper.bpm}bpm`,
+      stamp
+    ];
+    return `${parts.join('_').replace(/[^\w.\-#]+/g, '-')}.${extension}`;
   }
   
   // Modal functions
@@ -0,0 +1,30 @@
+// asset-loader.js - Loads the third-party libraries from the configured asset base URLs
+// Runs as a classic script while the page is parsed, so Tone.js and MediaPipe are defined
+// before the app modules run. The resolved base URLs are published as
+// window.HEADSYNTH_ASSETS = { profile, baseUrls } for the loaders inside the app
+// (Face Mesh model files, piano samples)
+(function () {
+  const manifest = window.HEADSYNTH_ASSET_MANIFEST;
+  const config = (window.HEADSYNTH_CONFIG && window.HEADSYNTH_CONFIG.assets) || {};
+
+  const profile = manifest.profiles[config.profile] ? config.profile : 'cdn';
+  const baseUrls = Object.assign({}, manifest.profiles[profile], config.baseUrls || {});
+  window.HEADSYNTH_ASSETS = { profile, baseUrls };
+
+  // Written while parsing, so the scripts run in order and block the modules like static tags
+  document.write(`<link rel="stylesheet" href="${baseUrls.fontAwesome}css/all.min.css">`);
+  ['camera_utils', 'control_utils', 'drawing_utils', 'face_mesh'].forEach(name => {
+    document.write(`<script src="${baseUrls.mediapipe}${name}/${name}.js" crossorigin="anonymous"><\/script>`);
+  });
+  document.write(`<script src="${baseUrls.tone}Tone.js"><\/script>`);
+
+  // Offline installs keep every asset in a service worker cache
+  if (profile === 'offline' && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      const url = `sw.js?baseUrls=${encodeURIComponent(JSON.stringify(baseUrls))}`;
+      navigator.serviceWorker.register(url)
+        .then(registration => console.log('Offline service worker registered:', registration.scope))
+        .catch(error => console.error('Error registering the offline service worker:', error));
+    });
+  }
+})();
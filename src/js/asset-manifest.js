@@ -0,0 +1,105 @@
+// asset-manifest.js - Where HeadSynth's third-party assets come from, and which files they are
+// A classic script rather than a module: the page loads it before the libraries, and the
+// service worker and the offline asset fetcher read the same lists
+(function (scope) {
+  scope.HEADSYNTH_ASSET_MANIFEST = {
+    // Base URL of each asset group, per profile
+    profiles: {
+      cdn: {
+        mediapipe: 'https://cdn.jsdelivr.net/npm/@mediapipe/',
+        tone: 'https://cdnjs.cloudflare.com/ajax/libs/tone/14.8.49/',
+        fontAwesome: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/',
+        // Raw files, the GitHub Pages copy does not serve every sample
+        pianoSamples: 'https://raw.githubusercontent.com/Tonejs/audio/master/salamander/'
+      },
+      offline: {
+        mediapipe: 'vendor/mediapipe/',
+        tone: 'vendor/tone/',
+        fontAwesome: 'vendor/font-awesome/',
+        pianoSamples: 'vendor/salamander/'
+      }
+    },
+
+    // Files of each group, relative to its base URL
+    files: {
+      mediapipe: [
+        'camera_utils/camera_utils.js',
+        'control_utils/control_utils.js',
+        'drawing_utils/drawing_utils.js',
+        'face_mesh/face_mesh.js',
+        // Loaded by face_mesh.js at run time through locateFile
+        'face_mesh/face_mesh.binarypb',
+        'face_mesh/face_mesh_solution_packed_assets.data',
+        'face_mesh/face_mesh_solution_packed_assets_loader.js',
+        'face_mesh/face_mesh_solution_simd_wasm_bin.js',
+        'face_mesh/face_mesh_solution_simd_wasm_bin.wasm',
+        'face_mesh/face_mesh_solution_wasm_bin.js',
+        'face_mesh/face_mesh_solution_wasm_bin.wasm'
+      ],
+      tone: ['Tone.js'],
+      fontAwesome: [
+        'css/all.min.css',
+        'webfonts/fa-brands-400.woff2',
+        'webfonts/fa-regular-400.woff2',
+        'webfonts/fa-solid-900.woff2',
+        'webfonts/fa-v4compatibility.woff2'
+      ],
+      // The piano preset in synth-engine.js
+      pianoSamples: [
+        'A0.mp3', 'C1.mp3', 'Ds1.mp3', 'Fs1.mp3', 'A1.mp3', 'C2.mp3', 'Ds2.mp3', 'Fs2.mp3',
+        'A2.mp3', 'C3.mp3', 'Ds3.mp3', 'Fs3.mp3', 'A3.mp3', 'C4.mp3', 'Ds4.mp3', 'Fs4.mp3',
+        'A4.mp3', 'C5.mp3', 'Ds5.mp3', 'Fs5.mp3', 'A5.mp3', 'C6.mp3', 'Ds6.mp3', 'Fs6.mp3',
+        'A6.mp3', 'C7.mp3', 'Ds7.mp3', 'Fs7.mp3', 'A7.mp3', 'C8.mp3'
+      ]
+    },
+
+    // The app itself, relative to the page
+    appFiles: [
+      './',
+      'index.html',
+      'config.js',
+      'main.js',
+      'src/css/modern-styles.css',
+      'src/js/asset-manifest.js',
+      'src/js/asset-loader.js',
+      'src/js/calibration.js',
+      'src/js/calibration-targets.js',
+      'src/js/channel-strip.js',
+      'src/js/database.js',
+      'src/js/document-store.js',
+      'src/js/download.js',
+      'src/js/drift-compensation.js',
+      'src/js/gesture-detector.js',
+      'src/js/guided-play.js',
+      'src/js/head-input-source.js',
+      'src/js/head-pose.js',
+      'src/js/head-tracker.js',
+      'src/js/i18n.js',
+      'src/js/landmark-file-source.js',
+      'src/js/loop-events.js',
+      'src/js/loop-midi.js',
+      'src/js/looper.js',
+      'src/js/metronome.js',
+      'src/js/midi-file.js',
+      'src/js/motion-filters.js',
+      'src/js/motion-recording.js',
+      'src/js/note-trigger.js',
+      'src/js/note-verification.js',
+      'src/js/notes-grid.js',
+      'src/js/offline-renderer.js',
+      'src/js/performance-recorder.js',
+      'src/js/profile-store.js',
+      'src/js/random.js',
+      'src/js/seeded-reverb.js',
+      'src/js/session-store.js',
+      'src/js/synth-engine.js',
+      'src/js/synthetic-head-sources.js',
+      'src/js/track-voice.js',
+      'src/js/transfer-function.js',
+      'src/js/transfer-plot.js',
+      'src/js/ui-controller.js',
+      'src/js/video-recorder.js',
+      'src/js/wav-encoder.js'
+    ]
+  };
+})(typeof self !== 'undefined' ? self : globalThis);
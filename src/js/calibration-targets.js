@@ -0,0 +1,112 @@
+// calibration-targets.js - Targets drawn over the camera view during target-based calibration
+// Each calibration step shows one target; a cursor moves from the center toward it as the head
+// moves, and a ring around the target fills while the user holds there
+
+// Where each step's target sits, in fractions of the half view from the center
+const TARGET_POSITIONS = {
+  center: { x: 0, y: 0 },
+  up: { x: 0, y: -0.7 },
+  down: { x: 0, y: 0.7 },
+  left: { x: -0.7, y: 0 },
+  right: { x: 0.7, y: 0 },
+  tiltLeft: { x: -0.6, y: -0.6 },
+  tiltRight: { x: 0.6, y: -0.6 }
+};
+
+export class CalibrationTargets {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas laid over the camera view
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.target = null;
+    this.reach = 0;     // How far the cursor is toward the target, 0-1
+    this.progress = 0;  // How much of the hold is done, 0-1
+    this.radius = 28;
+  }
+
+  /**
+   * Show the target of a calibration step
+   * @param {string} step - Step name, e.g. 'center' or 'tiltLeft'
+   */
+  show(step) {
+    this.target = step;
+    this.reach = 0;
+    this.progress = 0;
+    this.canvas.style.display = 'block';
+    this.draw();
+  }
+
+  /**
+   * @param {number} reach - How far the head is toward the target, 0-1
+   * @param {number} progress - Share of the hold completed, 0-1
+   */
+  update(reach, progress) {
+    this.reach = Math.max(0, Math.min(1, reach));
+    this.progress = Math.max(0, Math.min(1, progress));
+    this.draw();
+  }
+
+  hide() {
+    this.target = null;
+    this.canvas.style.display = 'none';
+  }
+
+  draw() {
+    // Keep the drawing buffer at the displayed size
+    const { clientWidth, clientHeight } = this.canvas;
+    if (this.canvas.width !== clientWidth || this.canvas.height !== clientHeight) {
+      this.canvas.width = clientWidth;
+      this.canvas.height = clientHeight;
+    }
+
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.target) return;
+
+    const styles = getComputedStyle(document.documentElement);
+    const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+    const position = TARGET_POSITIONS[this.target];
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const targetX = centerX + position.x * width / 2;
+    const targetY = centerY + position.y * height / 2;
+
+    // Path from the center to the target
+    if (this.target !== 'center') {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.moveTo(centerX, centerY);
+      ctx.lineTo(targetX, targetY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // The target, with the hold progress around it
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.strokeStyle = color('--secondary-color', '#4cc9f0');
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(targetX, targetY, this.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    if (this.progress > 0) {
+      ctx.strokeStyle = color('--success-color', '#06d6a0');
+      ctx.lineWidth = 6;
+      ctx.beginPath();
+      ctx.arc(targetX, targetY, this.radius + 6, -Math.PI / 2, -Math.PI / 2 + this.progress * Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // The cursor, moving from the center toward the target
+    ctx.fillStyle = color('--accent-color', '#f72585');
+    ctx.beginPath();
+    ctx.arc(centerX + (targetX - centerX) * this.reach, centerY + (targetY - centerY) * this.reach, 10, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
@@ -1,4 +1,26 @@
 // calibration.js - Calibration system for the head tracker
+import { AXIS_CHANNELS, DEFAULT_CHANNEL_CALIBRATION } from './head-pose.js';
+
+// The axis each movement step measures
+const STEP_AXES = {
+  up: 'y',
+  down: 'y',
+  left: 'x',
+  right: 'x',
+  tiltLeft: 'z',
+  tiltRight: 'z'
+};
+
+// The step of each pair that measures the other side of the center
+const OPPOSITE_STEPS = {
+  up: 'down',
+  down: 'up',
+  left: 'right',
+  right: 'left',
+  tiltLeft: 'tiltRight',
+  tiltRight: 'tiltLeft'
+};
+
 export class Calibration {
   constructor(calibrationModal, headTracker) {
     this.modal = calibrationModal;
@@ -21,6 +43,26 @@ export class Calibration {
       tiltRight: []
     };
     
+    // Per-step analysis: mean after outlier rejection, spread, coverage and problems found
+    this.stepResults = {};
+    
+    // Quality rules
+    this.sampleInterval = 100;   // ms between samples
+    this.settleTime = 300;       // ms at the start of a step while the head is still moving there
+    this.maxAttempts = 3;        // Tries per step before it is accepted as weak
+    this.minCoverage = 0.6;      // Share of the expected samples that must have a visible face
+    this.minTravel = 0.1;        // Least movement from center, as a share of the channel's usual span
+    this.maxNoise = 0.35;        // Most spread allowed, relative to the movement (or usual span at center)
+    this.weakScore = 60;         // Axes scoring below this are flagged
+    
+    // Target mode: each step waits until the head holds on a target instead of a fixed time
+    this.mode = 'timed';         // 'timed' or 'targets'
+    this.targets = null;         // CalibrationTargets drawn over the camera view
+    this.holdTime = 1000;        // ms the head must stay on the target
+    this.targetReach = 0.15;     // Movement from center that reaches a target, as a share of the usual span
+    this.steadyLimit = 0.05;     // Most movement within the last few samples that still counts as holding
+    this.targetTimeout = 15000;  // ms before a step gives up on the target and is judged as it is
+    
     // Callback functions
     this.onCalibrationComplete = null;
     this.onCalibrationFailed = null;
@@ -29,6 +71,26 @@ export class Calibration {
     this._collectSample = this._collectSample.bind(this);
   }
   
+  /**
+   * Calibrate another head-input source (camera, mouse, keyboard, ...)
+   * @param {HeadInputSource} source - The source to start and read the pose from
+   */
+  setInputSource(source) {
+    if (this.isCalibrating) return;
+    this.headTracker = source;
+  }
+  
+  /**
+   * Choose how steps are run
+   * @param {string} mode - 'timed' (fixed durations) or 'targets' (hold on a target)
+   * @param {CalibrationTargets} targets - Target overlay, needed for 'targets'
+   */
+  setMode(mode, targets = this.targets) {
+    if (this.isCalibrating) return;
+    this.mode = mode === 'targets' && targets ? 'targets' : 'timed';
+    this.targets = targets;
+  }
+  
   start() {
     if (this.isCalibrating) return;
     
@@ -40,6 +102,7 @@ export class Calibration {
     Object.keys(this.samples).forEach(key => {
       this.samples[key] = [];
     });
+    this.stepResults = {};
     
     // Update UI
     this._updateStepUI();
@@ -66,6 +129,7 @@ export class Calibration {
   cancel() {
     this.cancelRequested = true;
     this.isCalibrating = false;
+    this._hideTargets();
     
     // Don't stop the head tracker here, just cancel the calibration process
     // This way we avoid unnecessary camera stop/start cycles
@@ -93,40 +157,41 @@ export class Calibration {
     
     try {
       // Step 1: Center position (neutral)
-      await this._calibratePosition('center', 'מסתכל ישירות למצלמה, שומר על ראש ישר...', 2000);
+      await this._runStep('center', 'מסתכל ישירות למצלמה, שומר על ראש ישר...', 2000);
       if (this.cancelRequested) return;
       
       // Step 2: Up and Down calibration
       this.currentStep = 1;
       this._updateStepUI();
       
-      await this._calibratePosition('up', 'הרם את הראש כלפי מעלה...', 1500);
+      await this._runStep('up', 'הרם את הראש כלפי מעלה...', 1500);
       if (this.cancelRequested) return;
       
-      await this._calibratePosition('down', 'הורד את הראש כלפי מטה...', 1500);
+      await this._runStep('down', 'הורד את הראש כלפי מטה...', 1500);
       if (this.cancelRequested) return;
       
       // Step 3: Left and Right calibration
       this.currentStep = 2;
       this._updateStepUI();
       
-      await this._calibratePosition('left', 'הזז את ראשך שמאלה...', 1500);
+      await this._runStep('left', 'הזז את ראשך שמאלה...', 1500);
       if (this.cancelRequested) return;
       
-      await this._calibratePosition('right', 'הזז את ראשך ימינה...', 1500);
+      await this._runStep('right', 'הזז את ראשך ימינה...', 1500);
       if (this.cancelRequested) return;
       
       // Step 4: Tilt Left and Right calibration
       this.currentStep = 3;
       this._updateStepUI();
       
-      await this._calibratePosition('tiltLeft', 'הטה את ראשך שמאלה...', 1500);
+      await this._runStep('tiltLeft', 'הטה את ראשך שמאלה...', 1500);
       if (this.cancelRequested) return;
       
-      await this._calibratePosition('tiltRight', 'הטה את ראשך ימינה...', 1500);
+      await this._runStep('tiltRight', 'הטה את ראשך ימינה...', 1500);
       if (this.cancelRequested) return;
       
       // Process calibration data
+      this._hideTargets();
       const calibrationData = this._processCalibrationData();
       
       // Calibration completed
@@ -141,6 +206,7 @@ export class Calibration {
       
     } catch (error) {
       console.error('Calibration sequence error:', error);
+      this._hideTargets();
       this.calibrationStatus.textContent = 'שגיאה בכיול: ' + error.message;
       
       if (typeof this.onCalibrationFailed === 'function') {
@@ -151,55 +217,167 @@ export class Calibration {
     }
   }
   
+  /**
+   * Run one calibration step, retrying just this step until its samples are usable
+   * After the last attempt a step with any samples is kept and reported as weak
+   */
+  async _runStep(positionName, statusMessage, duration) {
+    let result = null;
+    
+    // A held target is judged by the samples of the hold alone
+    if (this.mode === 'targets') {
+      duration = this.settleTime + this.holdTime;
+    }
+    
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      this.samples[positionName] = [];
+      if (this.mode === 'targets') {
+        await this._holdOnTarget(positionName, statusMessage);
+      } else {
+        await this._calibratePosition(positionName, statusMessage, duration);
+      }
+      if (this.cancelRequested) return;
+      
+      result = this._analyzeStep(positionName, duration);
+      if (result.passed) break;
+      
+      console.warn(`Calibration step ${positionName} failed (attempt ${attempt}):`, result.issues);
+      if (attempt < this.maxAttempts) {
+        this.calibrationStatus.textContent = `${this.describeIssues(result.issues)} - ננסה שוב את השלב הזה`;
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        if (this.cancelRequested) return;
+      }
+    }
+    
+    if (result.kept === 0) {
+      throw new Error(`לא הצלחתי לאסוף נתונים עבור מיקום ${positionName}. ודא שפניך גלויים למצלמה.`);
+    }
+    // A side measured from the wrong side of the center would collapse its range
+    if (result.issues.includes('wrongDirection')) {
+      throw new Error(`התנועה במיקום ${positionName} הייתה לאותו צד כמו בשלב הקודם. נסה לכייל שוב.`);
+    }
+    this.stepResults[positionName] = result;
+  }
+  
   async _calibratePosition(positionName, statusMessage, duration) {
-    return new Promise((resolve, reject) => {
+    return new Promise((resolve) => {
       // Update status
       this.calibrationStatus.textContent = statusMessage;
+      const startTime = performance.now();
       
-      // Start collecting samples
-      const sampleInterval = 100; // Collect sample every 100ms
+      // Start collecting samples, once the head has had a moment to get there
       const sampleTimer = setInterval(() => {
         if (this.cancelRequested) {
           clearInterval(sampleTimer);
           resolve(); // Resolve but don't proceed further
           return;
         }
+        if (performance.now() - startTime < this.settleTime) return;
         
         try {
           this._collectSample(positionName);
         } catch (e) {
           console.error(`Error collecting sample for ${positionName}:`, e);
         }
-      }, sampleInterval);
+      }, this.sampleInterval);
       
       // End collection after specified duration
       setTimeout(() => {
         clearInterval(sampleTimer);
-        
-        if (this.cancelRequested) {
+        resolve();
+      }, duration);
+    });
+  }
+  
+  /**
+   * Show the step's target and collect samples once the head holds on it
+   * Leaving the target or moving restarts the hold; after targetTimeout the step ends with
+   * whatever was collected, and _runStep judges it like a timed step
+   */
+  async _holdOnTarget(positionName, statusMessage) {
+    this.calibrationStatus.textContent = statusMessage;
+    this.targets.show(positionName);
+    
+    const axis = STEP_AXES[positionName];
+    const center = this.stepResults.center;
+    const direction = this._expectedDirection(positionName);
+    const recent = [];
+    const startTime = performance.now();
+    let holdStart = null;
+    let wrongWay = false;
+    
+    await new Promise((resolve) => {
+      const timer = setInterval(() => {
+        const now = performance.now();
+        if (this.cancelRequested || now - startTime > this.targetTimeout) {
+          clearInterval(timer);
           resolve();
           return;
         }
         
-        // Check if we got enough samples
-        if (this.samples[positionName].length < 5) {
-          console.warn(`Not enough samples for ${positionName}: ${this.samples[positionName].length}`);
-          if (this.samples[positionName].length === 0) {
-            reject(new Error(`לא הצלחתי לאסוף נתונים עבור מיקום ${positionName}. ודא שפניך גלויים למצלמה.`));
-          } else {
-            // Continue with fewer samples rather than failing completely
-            resolve();
+        // A stale pose means the face was lost: start the hold over
+        const pose = this.headTracker.lastHeadData;
+        if (!pose || now - this.headTracker.lastPoseTime > this.sampleInterval * 2) {
+          recent.length = 0;
+          holdStart = null;
+          this.samples[positionName] = [];
+          this.targets.update(0, 0);
+          return;
+        }
+        
+        recent.push({ x: pose.x, y: pose.y, z: pose.z });
+        if (recent.length > 5) recent.shift();
+        
+        // How far toward the target: the movement along the step's axis, in the direction
+        // opposite its pair's first step (either way for the first step)
+        const offset = axis && center ? pose[axis] - center.mean[axis] : 0;
+        const distance = axis && center
+          ? (direction === null ? Math.abs(offset) : offset * direction) / (this._usualSpan(axis) * this.targetReach)
+          : 1;
+        const reach = Math.max(0, distance);
+        
+        // Heading for the other side of the center is pointed out instead of filling the target
+        if ((distance <= -1) !== wrongWay) {
+          wrongWay = distance <= -1;
+          this.calibrationStatus.textContent = wrongWay ? `כיוון הפוך - ${statusMessage}` : statusMessage;
+        }
+        const steadyAxes = axis ? [axis] : ['x', 'y', 'z'];
+        const steady = recent.length >= 3 && steadyAxes.every(name => {
+          const values = recent.map(sample => sample[name]);
+          return Math.max(...values) - Math.min(...values) <= this._usualSpan(name) * this.steadyLimit;
+        });
+        
+        if (reach >= 1 && steady) {
+          if (holdStart === null) {
+            holdStart = now;
+            this.samples[positionName] = [];
           }
+          this._collectSample(positionName);
         } else {
+          holdStart = null;
+          this.samples[positionName] = [];
+        }
+        
+        const progress = holdStart === null ? 0 : (now - holdStart) / this.holdTime;
+        this.targets.update(reach, progress);
+        if (progress >= 1) {
+          clearInterval(timer);
           resolve();
         }
-      }, duration);
+      }, this.sampleInterval);
     });
   }
   
+  _hideTargets() {
+    if (this.targets) {
+      this.targets.hide();
+    }
+  }
+  
   _collectSample(positionName) {
-    if (!this.headTracker.lastHeadData) {
-      console.warn('No head data available for sampling');
+    // A pose older than two sample intervals means the face was lost
+    if (!this.headTracker.lastHeadData ||
+        performance.now() - this.headTracker.lastPoseTime > this.sampleInterval * 2) {
       return;
     }
     
@@ -213,32 +391,160 @@ export class Calibration {
     this.samples[positionName].push(sample);
   }
   
-  _processCalibrationData() {
-    // Calculate average for each position
-    const positions = {};
+  /**
+   * Judge the samples of a step
+   * @returns {Object} { mean, spread, kept, expected, coverage, travel, noise, passed, issues }
+   */
+  _analyzeStep(positionName, duration) {
+    const samples = this.samples[positionName];
+    const expected = Math.max(1, Math.floor((duration - this.settleTime) / this.sampleInterval));
+    const axis = STEP_AXES[positionName];
+    const issues = [];
     
-    Object.keys(this.samples).forEach(positionName => {
-      const samples = this.samples[positionName];
-      if (samples.length === 0) {
-        console.warn(`No samples for position ${positionName}`);
-        // Use default value if no samples
-        positions[positionName] = { x: 0.5, y: 0.5, z: 0 };
-        return;
+    // Outliers: samples far from the median, measured in median absolute deviations
+    const axes = ['x', 'y', 'z'];
+    const medians = {};
+    const deviations = {};
+    axes.forEach(name => {
+      const values = samples.map(sample => sample[name]);
+      medians[name] = median(values);
+      deviations[name] = median(values.map(value => Math.abs(value - medians[name])));
+    });
+    const kept = samples.filter(sample => axes.every(name => {
+      const limit = Math.max(deviations[name] * 1.4826 * 3, this._usualSpan(name) * 0.02);
+      return Math.abs(sample[name] - medians[name]) <= limit;
+    }));
+    
+    const mean = {};
+    const spread = {};
+    axes.forEach(name => {
+      mean[name] = kept.length ? kept.reduce((sum, sample) => sum + sample[name], 0) / kept.length : 0;
+      spread[name] = kept.length ? Math.sqrt(kept.reduce((sum, sample) =>
+        sum + (sample[name] - mean[name]) ** 2, 0) / kept.length) : 0;
+    });
+    
+    const coverage = Math.min(1, kept.length / expected);
+    if (samples.length < expected * this.minCoverage) {
+      issues.push('faceLost');
+    } else if (kept.length < expected * this.minCoverage) {
+      issues.push('unsteady');
+    }
+    
+    // Movement steps must leave the center by a usable distance, to the side opposite their
+    // pair's first step, and be steady relative to it
+    let travel = null;
+    let noise;
+    if (axis && this.stepResults.center) {
+      const offset = mean[axis] - this.stepResults.center.mean[axis];
+      const direction = this._expectedDirection(positionName);
+      travel = Math.abs(offset);
+      noise = spread[axis] / Math.max(travel, 1e-6);
+      const minTravel = this._usualSpan(axis) * this.minTravel;
+      if (direction !== null && offset * direction < 0) {
+        issues.push(travel < minTravel ? 'tooSmall' : 'wrongDirection');
+      } else if (travel < minTravel) {
+        issues.push('tooSmall');
+      } else if (noise > this.maxNoise) {
+        issues.push('unsteady');
+      }
+    } else {
+      // At the center every axis should be still
+      noise = Math.max(...axes.map(name => spread[name] / this._usualSpan(name))) / this.minTravel;
+      if (noise > this.maxNoise * 2) {
+        issues.push('unsteady');
       }
+    }
+    
+    return {
+      mean,
+      spread,
+      kept: kept.length,
+      expected,
+      coverage,
+      travel,
+      noise,
+      passed: issues.length === 0,
+      issues: [...new Set(issues)]
+    };
+  }
+  
+  /**
+   * Score each axis 0-100 from its steps' coverage and steadiness, and flag weak axes
+   * @returns {Object} { score, axes: { x: { score, weak, issues }, ... } }
+   */
+  _scoreQuality() {
+    const center = this.stepResults.center;
+    const axes = {};
+    
+    ['x', 'y', 'z'].forEach(axis => {
+      const steps = Object.keys(STEP_AXES).filter(step => STEP_AXES[step] === axis);
+      const results = [center, ...steps.map(step => this.stepResults[step])];
       
-      const sum = samples.reduce((acc, sample) => {
-        return {
-          x: acc.x + sample.x,
-          y: acc.y + sample.y,
-          z: acc.z + sample.z
-        };
-      }, { x: 0, y: 0, z: 0 });
+      const stepScores = results.map(result => {
+        const steadiness = Math.max(0, 1 - result.noise / (this.maxNoise * 2));
+        return 100 * result.coverage * (0.5 + 0.5 * steadiness) * (result.passed ? 1 : 0.5);
+      });
+      const score = Math.round(Math.min(...stepScores));
+      const issues = [...new Set(steps.flatMap(step => this.stepResults[step].issues))];
       
-      positions[positionName] = {
-        x: sum.x / samples.length,
-        y: sum.y / samples.length,
-        z: sum.z / samples.length
-      };
+      axes[axis] = { score, weak: score < this.weakScore || issues.length > 0, issues };
+    });
+    
+    return {
+      score: Math.min(...Object.values(axes).map(result => result.score)),
+      axes
+    };
+  }
+  
+  /**
+   * Which way a movement step should move its axis from the center
+   * The direction a channel moves in depends on the camera and the tracker, so the first step
+   * of each pair may go either way and its partner must go the other way
+   * @returns {number|null} 1 or -1, or null while either way is accepted
+   */
+  _expectedDirection(positionName) {
+    const center = this.stepResults.center;
+    const opposite = this.stepResults[OPPOSITE_STEPS[positionName]];
+    if (!center || !opposite || opposite.issues.includes('tooSmall')) return null;
+    
+    const axis = STEP_AXES[positionName];
+    return opposite.mean[axis] < center.mean[axis] ? 1 : -1;
+  }
+  
+  /**
+   * Smallest reach kept on a side of the center, in the units of the channel the axis follows
+   * @param {string} axis - 'x', 'y' or 'z'
+   */
+  getMinExtent(axis) {
+    return this._usualSpan(axis) * this.minTravel;
+  }
+  
+  _usualSpan(axis) {
+    // The default full span of the channel this axis follows, in its own units
+    const channel = AXIS_CHANNELS[axis][this.headTracker.getAxisSources()[axis]];
+    return DEFAULT_CHANNEL_CALIBRATION[channel].range;
+  }
+  
+  /**
+   * Describe step problems to the user
+   * @param {Array} issues - Issue codes from a step or axis result
+   * @returns {string} Hebrew description
+   */
+  describeIssues(issues) {
+    const descriptions = {
+      faceLost: 'הפנים לא זוהו בחלק מהזמן',
+      tooSmall: 'התנועה הייתה קטנה מדי',
+      wrongDirection: 'התנועה הייתה לכיוון הלא נכון',
+      unsteady: 'הראש לא היה יציב'
+    };
+    return issues.map(issue => descriptions[issue]).join(', ');
+  }
+  
+  _processCalibrationData() {
+    // Average of each position, with outliers already removed
+    const positions = {};
+    Object.keys(this.samples).forEach(positionName => {
+      positions[positionName] = this.stepResults[positionName].mean;
     });
     
     // Calculate center position from the neutral position
@@ -246,30 +552,48 @@ export class Calibration {
     const centerY = positions.center.y;
     const centerZ = positions.center.z;
     
-    // Calculate ranges for each axis
-    const rangeX = Math.max(
-      Math.abs(positions.left.x - centerX),
-      Math.abs(positions.right.x - centerX)
-    ) * 2;
-    
-    const rangeY = Math.max(
-      Math.abs(positions.up.y - centerY),
-      Math.abs(positions.down.y - centerY)
-    ) * 2;
+    // Reach on each side of the center, measured separately: many people can turn
+    // further one way than the other, and each side gets its own full half of the range
+    const extentsX = this._sideExtents('x', centerX, positions.left.x, positions.right.x);
+    const extentsY = this._sideExtents('y', centerY, positions.up.y, positions.down.y);
+    const extentsZ = this._sideExtents('z', centerZ, positions.tiltLeft.z, positions.tiltRight.z);
     
-    const rangeZ = Math.max(
-      Math.abs(positions.tiltLeft.z - centerZ),
-      Math.abs(positions.tiltRight.z - centerZ)
-    ) * 2;
-    
-    // Create calibration data object
+    // Create calibration data object, remembering which channel each axis was calibrated on
     return {
+      sources: this.headTracker.getAxisSources(),
       centerX,
       centerY,
       centerZ,
-      rangeX: Math.max(0.1, rangeX), // Ensure non-zero range
-      rangeY: Math.max(0.1, rangeY),
-      rangeZ: Math.max(0.1, rangeZ)
+      negativeRangeX: extentsX.negative,
+      positiveRangeX: extentsX.positive,
+      negativeRangeY: extentsY.negative,
+      positiveRangeY: extentsY.positive,
+      negativeRangeZ: extentsZ.negative,
+      positiveRangeZ: extentsZ.positive,
+      // Full spans, for readers of older calibrations
+      rangeX: extentsX.negative + extentsX.positive,
+      rangeY: extentsY.negative + extentsY.positive,
+      rangeZ: extentsZ.negative + extentsZ.positive,
+      quality: this._scoreQuality()
+    };
+  }
+  
+  _sideExtents(axis, center, first, second) {
+    // Each side's reach comes from the step meant for it: the steps of a pair measure opposite
+    // sides, and the one that moved further tells which side is which. A step that barely left
+    // the center (kept as weak) gets the smallest usable reach, so the axis does not swing to
+    // its extreme on a twitch
+    const firstOffset = first - center;
+    const secondOffset = second - center;
+    const firstSide = Math.abs(firstOffset) >= Math.abs(secondOffset)
+      ? Math.sign(firstOffset) || 1
+      : -Math.sign(secondOffset);
+    const minExtent = this.getMinExtent(axis);
+    const firstExtent = Math.max(minExtent, firstOffset * firstSide);
+    const secondExtent = Math.max(minExtent, -secondOffset * firstSide);
+    return {
+      negative: firstSide < 0 ? firstExtent : secondExtent,
+      positive: firstSide < 0 ? secondExtent : firstExtent
     };
   }
   
@@ -284,4 +608,11 @@ export class Calibration {
       }
     });
   }
-}
\ No newline at end of file
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
@@ -0,0 +1,120 @@
+// channel-strip.js - Mixer channel for a loop track
+// A Tone.Channel (volume, pan, mute, solo) plus post-fader sends to shared effects
+
+// Channel strip settings a new track starts with
+// Send levels are the maximum amounts, scaled by the track's recorded effect value
+export const DEFAULT_MIXER = {
+  volume: 1,      // Gain (0-1)
+  pan: 0,         // -1 (left) to 1 (right)
+  mute: false,
+  solo: false,
+  sends: {
+    reverb: 0.7,
+    delay: 0.5
+  }
+};
+
+export class ChannelStrip {
+  /**
+   * @param {Object} mixer - Saved mixer settings (missing values use DEFAULT_MIXER)
+   * @param {Tone.ToneAudioNode} output - Node the channel connects to (defaults to the destination)
+   * @param {Object} sendDestinations - Map of send name to effect input (e.g. { reverb, delay })
+   */
+  constructor(mixer, output, sendDestinations = {}) {
+    this.mixer = {
+      ...DEFAULT_MIXER,
+      ...mixer,
+      sends: { ...DEFAULT_MIXER.sends, ...(mixer && mixer.sends) }
+    };
+    this.effectValue = 0.5;
+
+    this.channel = new Tone.Channel({
+      volume: this._volumeToDb(this.mixer.volume),
+      pan: this.mixer.pan,
+      mute: this.mixer.mute,
+      solo: this.mixer.solo
+    });
+    if (output) {
+      this.channel.connect(output);
+    } else {
+      this.channel.toDestination();
+    }
+
+    // Post-fader sends, so mute and solo silence them too
+    this.sendGains = {};
+    Object.keys(sendDestinations).forEach(name => {
+      this.sendGains[name] = new Tone.Gain(0).connect(sendDestinations[name]);
+      this.channel.connect(this.sendGains[name]);
+    });
+    this._applySends();
+  }
+
+  /**
+   * @param {number} volume - Gain (0-1)
+   */
+  setVolume(volume) {
+    this.mixer.volume = Math.max(0, Math.min(1, volume));
+    this.channel.volume.value = this._volumeToDb(this.mixer.volume);
+  }
+
+  /**
+   * @param {number} pan - -1 (left) to 1 (right)
+   */
+  setPan(pan) {
+    this.mixer.pan = Math.max(-1, Math.min(1, pan));
+    this.channel.pan.rampTo(this.mixer.pan, 0.05);
+  }
+
+  /**
+   * @param {string} sendName - Send name ('reverb' or 'delay')
+   * @param {number} level - Send level (0-1)
+   */
+  setSend(sendName, level) {
+    if (!(sendName in this.mixer.sends)) return;
+
+    this.mixer.sends[sendName] = Math.max(0, Math.min(1, level));
+    this._applySends();
+  }
+
+  /**
+   * Apply a recorded effect value to the sends
+   * @param {number} value - Effect value (0-1)
+   * @param {number} time - Audio context time of the change (defaults to now)
+   */
+  setEffectValue(value, time) {
+    this.effectValue = value;
+    this._applySends(time);
+  }
+
+  setMute(muted) {
+    this.mixer.mute = muted;
+    this.channel.mute = muted;
+  }
+
+  setSolo(soloed) {
+    // Tone.Channel solo silences every channel that is not soloed
+    this.mixer.solo = soloed;
+    this.channel.solo = soloed;
+  }
+
+  dispose() {
+    Object.values(this.sendGains).forEach(gain => gain.dispose());
+    this.sendGains = {};
+    this.channel.dispose();
+  }
+
+  _applySends(time) {
+    Object.keys(this.sendGains).forEach(name => {
+      const level = (this.mixer.sends[name] || 0) * this.effectValue;
+      if (time === undefined) {
+        this.sendGains[name].gain.rampTo(level, 0.05);
+      } else {
+        this.sendGains[name].gain.setValueAtTime(level, time);
+      }
+    });
+  }
+
+  _volumeToDb(volume) {
+    return volume === 0 ? -Infinity : Tone.gainToDb(volume);
+  }
+}
@@ -0,0 +1,86 @@
+// database.js - Shared IndexedDB access for HeadSynth
+// One database holds every persistent store; bump DB_VERSION when adding a store
+
+const DB_NAME = 'headSynth';
+const DB_VERSION = 2;
+
+// Object stores and their key paths
+const STORES = {
+  sessions: 'name',
+  profiles: 'name'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let blocked = false;
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.keys(STORES).forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: STORES[storeName] });
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // The open was already given up on while blocked
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // Let a newer version open in another tab upgrade the database; the next access reopens it
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+    request.onblocked = () => {
+      blocked = true;
+      dbPromise = null;
+      reject(new Error('The database is in use by an older version of HeadSynth in another tab; close it and try again'));
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against a store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+export async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,133 @@
+// document-store.js - Named, versioned JSON documents in IndexedDB, plus JSON file export/import
+// Each kind of document (sessions, profiles) extends DocumentStore with its own format, the
+// fields it keeps and the fields it cannot do without, so files saved today can be migrated later
+
+import { withStore } from './database.js';
+import { downloadBlob } from './download.js';
+
+export class DocumentStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.storeName - Object store holding the documents
+   * @param {string} options.format - Format tag written into every document
+   * @param {number} options.version - Newest document version this code can read
+   * @param {string} options.kind - What a document is called in messages, e.g. 'session'
+   * @param {string} options.fileExtension - Extension of exported files, e.g. '.headsynth.json'
+   */
+  constructor({ storeName, format, version, kind, fileExtension }) {
+    this.storeName = storeName;
+    this.format = format;
+    this.version = version;
+    this.kind = kind;
+    this.fileExtension = fileExtension;
+  }
+
+  /**
+   * Wrap data in a versioned document
+   * @param {string} name - Document name
+   * @param {Object} data - Fields of the document
+   * @returns {Object} The document
+   */
+  createDocument(name, data) {
+    return {
+      format: this.format,
+      version: this.version,
+      name,
+      savedAt: new Date().toISOString(),
+      ...data
+    };
+  }
+
+  /**
+   * Save a document under its name, replacing any document with the same name
+   * @param {Object} doc - The document
+   */
+  async save(doc) {
+    this.validate(doc);
+    await withStore(this.storeName, 'readwrite', store => store.put(doc));
+  }
+
+  /**
+   * Load a document by name
+   * @param {string} name - Document name
+   * @returns {Promise<Object|null>} The document, or null if there is none
+   */
+  async load(name) {
+    const doc = await withStore(this.storeName, 'readonly', store => store.get(name));
+    return doc || null;
+  }
+
+  /**
+   * List saved documents in the order compare() gives
+   * @returns {Promise<Array>} Array of { name, savedAt }
+   */
+  async list() {
+    const documents = await withStore(this.storeName, 'readonly', store => store.getAll());
+    return documents
+      .map(doc => ({ name: doc.name, savedAt: doc.savedAt }))
+      .sort((a, b) => this.compare(a, b));
+  }
+
+  async delete(name) {
+    await withStore(this.storeName, 'readwrite', store => store.delete(name));
+  }
+
+  /**
+   * Download a document as a JSON file
+   * @param {Object} doc - The document
+   */
+  exportToFile(doc) {
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${doc.name || this.kind}${this.fileExtension}`);
+  }
+
+  /**
+   * Read a document from a JSON file
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<Object>} Validated document
+   */
+  async importFromFile(file) {
+    const text = await file.text();
+
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    this.validate(doc);
+    return doc;
+  }
+
+  /**
+   * Check that a document is one this version can read
+   * @param {Object} doc - The document
+   */
+  validate(doc) {
+    if (!doc || doc.format !== this.format) {
+      throw new Error(`The file is not a HeadSynth ${this.kind}`);
+    }
+    if (typeof doc.version !== 'number' || doc.version > this.version) {
+      throw new Error(`Unsupported ${this.kind} version: ${doc.version}`);
+    }
+    this.validateContent(doc);
+  }
+
+  /**
+   * Check the fields of a document; throws if one it cannot do without is missing
+   * @param {Object} doc - Document of the right format and version
+   */
+  validateContent(doc) {
+    if (!doc.name) {
+      throw new Error(`The ${this.kind} is missing its name`);
+    }
+  }
+
+  /**
+   * Order of list(), newest first unless a store overrides it
+   */
+  compare(a, b) {
+    return a.savedAt < b.savedAt ? 1 : -1;
+  }
+}
@@ -0,0 +1,134 @@
+// drift-compensation.js - Slow re-centering of the calibration as the player's resting pose drifts
+// Over a long session people slump or shift in their chair. While the head rests near the
+// center, an offset from the calibrated center creeps toward the resting pose; it never grows
+// past a share of that side's reach, so every note stays reachable. The calibration itself
+// is left as calibrated, so profiles and range changes start from the real center.
+
+export class DriftCompensator {
+  constructor({
+    axes = ['x', 'y'],  // Axes whose center is corrected
+    stillTime = 2000,   // ms the head must rest before the pose counts as its resting pose
+    stillLimit = 0.05,  // Most movement while resting, as a share of the calibrated span
+    restZone = 0.35,    // Resting poses further from the center than this share of the side's
+                        // reach are deliberate (e.g. holding a note) and are ignored
+    rate = 0.02,        // Share of the distance to the resting pose corrected per second
+    maxShift = 0.4      // Furthest the center may move, as a share of the side's reach
+  } = {}) {
+    this.axes = axes;
+    this.stillTime = stillTime;
+    this.stillLimit = stillLimit;
+    this.restZone = restZone;
+    this.rate = rate;
+    this.maxShift = maxShift;
+
+    this.enabled = false;
+    this.active = false;   // Whether the center is being corrected right now
+    this.reset();
+  }
+
+  /**
+   * Forget the recent poses and the offset, e.g. for a new calibration
+   */
+  reset() {
+    this.offset = {};
+    this.axes.forEach(axis => {
+      this.offset[axis] = 0;
+    });
+    this.samples = [];
+    this.lastTime = null;
+    this.active = false;
+  }
+
+  /**
+   * Follow the resting pose
+   * @param {Object} headData - Raw pose with the selected x/y/z values
+   * @param {Object} calibration - Calibration data the offset is measured from
+   * @param {number} timestamp - performance.now() time of the pose
+   * @returns {boolean} Whether the center is being corrected
+   */
+  update(headData, calibration, timestamp) {
+    const dt = this.lastTime === null ? 0 : Math.min(1, (timestamp - this.lastTime) / 1000);
+    this.lastTime = timestamp;
+
+    this.samples.push({ time: timestamp, x: headData.x, y: headData.y, z: headData.z });
+    while (this.samples.length > 0 && timestamp - this.samples[0].time > this.stillTime) {
+      this.samples.shift();
+    }
+
+    this.active = this.enabled && this._isResting(calibration);
+    if (this.active) {
+      this.axes.forEach(axis => {
+        const rest = this.samples.reduce((sum, sample) => sum + sample[axis], 0) / this.samples.length;
+        const center = this.getCenter(calibration, axis);
+        this._setCenter(calibration, axis, center + (rest - center) * Math.min(1, this.rate * dt));
+      });
+    }
+    return this.active;
+  }
+
+  /**
+   * Make the current pose the center at once, within the same bounds
+   * @param {Object} headData - Raw pose with the selected x/y/z values
+   * @param {Object} calibration - Calibration data the offset is measured from
+   */
+  recenter(headData, calibration) {
+    this.axes.forEach(axis => this._setCenter(calibration, axis, headData[axis]));
+    this.samples = [];
+  }
+
+  /**
+   * Center an axis is played around: the calibrated center plus the drift offset
+   * @param {Object} calibration - Calibration data
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @returns {number} Raw value of the center
+   */
+  getCenter(calibration, axis) {
+    return calibration[`center${axis.toUpperCase()}`] + (this.offset[axis] || 0);
+  }
+
+  /**
+   * How far each center has moved from the calibrated one, as a share of the side's reach
+   * @returns {Object} { x, y } for the corrected axes, 0 before any correction
+   */
+  getShift(calibration) {
+    const shift = {};
+    this.axes.forEach(axis => {
+      const offset = this.offset[axis];
+      const side = offset < 0 ? 'negativeRange' : 'positiveRange';
+      shift[axis] = offset / this._extent(calibration, side, axis.toUpperCase());
+    });
+    return shift;
+  }
+
+  _isResting(calibration) {
+    // The window must span nearly the whole still time
+    if (this.samples.length < 2 || this.samples[this.samples.length - 1].time - this.samples[0].time < this.stillTime * 0.8) {
+      return false;
+    }
+
+    return this.axes.every(axis => {
+      const suffix = axis.toUpperCase();
+      const values = this.samples.map(sample => sample[axis]);
+      const span = this._extent(calibration, 'negativeRange', suffix) + this._extent(calibration, 'positiveRange', suffix);
+      if (Math.max(...values) - Math.min(...values) > span * this.stillLimit) {
+        return false;
+      }
+
+      const offset = values[values.length - 1] - this.getCenter(calibration, axis);
+      const side = offset < 0 ? 'negativeRange' : 'positiveRange';
+      return Math.abs(offset) <= this._extent(calibration, side, suffix) * this.restZone;
+    });
+  }
+
+  _setCenter(calibration, axis, value) {
+    const suffix = axis.toUpperCase();
+    const lowest = -this._extent(calibration, 'negativeRange', suffix) * this.maxShift;
+    const highest = this._extent(calibration, 'positiveRange', suffix) * this.maxShift;
+    this.offset[axis] = Math.max(lowest, Math.min(highest, value - calibration[`center${suffix}`]));
+  }
+
+  _extent(calibration, side, suffix) {
+    // Calibrations without sides use half the full span, as in HeadInputSource
+    return calibration[`${side}${suffix}`] || calibration[`range${suffix}`] / 2;
+  }
+}
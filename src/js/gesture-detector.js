@@ -0,0 +1,304 @@
+// gesture-detector.js - Detects facial gestures from the Face Mesh landmark stream
+// Gives players who can barely move their heads discrete musical triggers
+
+// Landmark indices (refined Face Mesh). "Left" and "right" are from the player's point of view,
+// so the player's left eye appears on the right side of the camera image.
+const LANDMARKS = {
+  UPPER_LIP_INNER: 13,
+  LOWER_LIP_INNER: 14,
+  MOUTH_LEFT: 291,
+  MOUTH_RIGHT: 61,
+  MOUTH_INNER_LEFT: 308,
+  MOUTH_INNER_RIGHT: 78,
+  LEFT_EYE_OUTER: 263,
+  LEFT_EYE_INNER: 362,
+  LEFT_EYE_TOP: 386,
+  LEFT_EYE_BOTTOM: 374,
+  LEFT_BROW: 334,
+  RIGHT_EYE_OUTER: 33,
+  RIGHT_EYE_INNER: 133,
+  RIGHT_EYE_TOP: 159,
+  RIGHT_EYE_BOTTOM: 145,
+  RIGHT_BROW: 105
+};
+
+/**
+ * Gesture definitions
+ * metric    - name of the measured face metric
+ * direction - 'above' fires when the metric rises above baseline + threshold,
+ *             'below' fires when it drops below baseline * (1 - threshold)
+ * threshold - default threshold, with the range offered in the UI
+ * minDuration - how long (ms) the gesture must be held before it fires
+ */
+export const GESTURE_DEFINITIONS = {
+  mouthOpen: { metric: 'mouthOpen', direction: 'above', threshold: 0.25, min: 0.05, max: 0.8, minDuration: 80 },
+  browRaise: { metric: 'browHeight', direction: 'above', threshold: 0.06, min: 0.02, max: 0.2, minDuration: 80 },
+  leftBlink: { metric: 'leftEyeOpen', direction: 'below', threshold: 0.5, min: 0.2, max: 0.8, minDuration: 250 },
+  rightBlink: { metric: 'rightEyeOpen', direction: 'below', threshold: 0.5, min: 0.2, max: 0.8, minDuration: 250 },
+  smile: { metric: 'mouthWidth', direction: 'above', threshold: 0.12, min: 0.04, max: 0.4, minDuration: 120 }
+};
+
+// Typical neutral-face metric values, used until the player captures their own
+const DEFAULT_BASELINE = {
+  mouthOpen: 0.05,
+  browHeight: 0.32,
+  leftEyeOpen: 0.3,
+  rightEyeOpen: 0.3,
+  mouthWidth: 0.85
+};
+
+export class GestureDetector {
+  constructor() {
+    this.landmarks = LANDMARKS;
+    this.definitions = GESTURE_DEFINITIONS;
+
+    // Per-user settings
+    this.baseline = { ...DEFAULT_BASELINE };
+    this.thresholds = {};
+    this.enabled = {};
+    Object.keys(this.definitions).forEach(name => {
+      this.thresholds[name] = this.definitions[name].threshold;
+      this.enabled[name] = true;
+    });
+
+    // Fraction of the threshold a gesture must fall back to before it ends (hysteresis)
+    this.releaseRatio = 0.7;
+
+    // Gesture state
+    this.state = {};
+    Object.keys(this.definitions).forEach(name => {
+      this.state[name] = { active: false, candidateSince: null, value: 0 };
+    });
+    this.lastMetrics = null;
+
+    // Neutral-face capture
+    this.neutralSamples = null;
+    this.neutralSampleTarget = 0;
+    this.onNeutralCaptured = null;
+
+    // Callback functions
+    this.onGesture = null;
+    this.onMetrics = null;
+
+    this._loadSettings();
+  }
+
+  /**
+   * Process a new set of landmarks
+   * @param {Array} landmarks - Normalized Face Mesh landmarks
+   * @param {number} width - Width of the camera frame in pixels
+   * @param {number} height - Height of the camera frame in pixels
+   * @param {number} timestamp - Frame time in milliseconds
+   */
+  update(landmarks, width = 640, height = 480, timestamp = performance.now()) {
+    const metrics = this._computeMetrics(landmarks, width, height);
+    if (!metrics) return;
+
+    this.lastMetrics = metrics;
+
+    // Collect samples while capturing the neutral face
+    if (this.neutralSamples) {
+      this.neutralSamples.push(metrics);
+      if (this.neutralSamples.length >= this.neutralSampleTarget) {
+        this._finishNeutralCapture();
+      }
+      return;
+    }
+
+    Object.keys(this.definitions).forEach(name => {
+      this._updateGesture(name, metrics, timestamp);
+    });
+
+    if (typeof this.onMetrics === 'function') {
+      this.onMetrics(this.getLevels());
+    }
+  }
+
+  /**
+   * Reset all gestures, ending any that are active
+   */
+  reset() {
+    Object.keys(this.state).forEach(name => {
+      if (this.state[name].active) {
+        this._emit(name, false, 0);
+      }
+      this.state[name] = { active: false, candidateSince: null, value: 0 };
+    });
+  }
+
+  /**
+   * Capture the player's neutral face as the baseline for all gestures
+   * @param {number} frames - Number of frames to average
+   */
+  captureNeutral(frames = 30) {
+    this.reset();
+    this.neutralSamples = [];
+    this.neutralSampleTarget = frames;
+  }
+
+  /**
+   * Set the threshold for a gesture
+   * @param {string} name - Gesture name
+   * @param {number} threshold - New threshold
+   */
+  setThreshold(name, threshold) {
+    const definition = this.definitions[name];
+    if (!definition) return;
+
+    this.thresholds[name] = Math.max(definition.min, Math.min(definition.max, threshold));
+    this._saveSettings();
+  }
+
+  /**
+   * Enable or disable a gesture
+   * @param {string} name - Gesture name
+   * @param {boolean} enabled - Whether the gesture is detected
+   */
+  setEnabled(name, enabled) {
+    if (!this.definitions[name]) return;
+
+    this.enabled[name] = enabled;
+    if (!enabled && this.state[name].active) {
+      this.state[name].active = false;
+      this._emit(name, false, 0);
+    }
+    this._saveSettings();
+  }
+
+  /**
+   * Get how close each gesture is to firing
+   * @returns {Object} Map of gesture name to level (1 = at threshold)
+   */
+  getLevels() {
+    const levels = {};
+    Object.keys(this.state).forEach(name => {
+      levels[name] = this.state[name].value;
+    });
+    return levels;
+  }
+
+  isActive(name) {
+    return Boolean(this.state[name] && this.state[name].active);
+  }
+
+  getSettings() {
+    return {
+      baseline: { ...this.baseline },
+      thresholds: { ...this.thresholds },
+      enabled: { ...this.enabled }
+    };
+  }
+
+  setSettings(settings) {
+    if (!settings) return;
+    Object.assign(this.baseline, settings.baseline || {});
+    Object.assign(this.thresholds, settings.thresholds || {});
+    Object.assign(this.enabled, settings.enabled || {});
+    this._saveSettings();
+  }
+
+  _updateGesture(name, metrics, timestamp) {
+    const definition = this.definitions[name];
+    const state = this.state[name];
+    if (!this.enabled[name]) {
+      state.value = 0;
+      return;
+    }
+
+    // Express the metric as a level where 1 means "exactly at threshold"
+    const threshold = this.thresholds[name];
+    const baseline = this.baseline[definition.metric];
+    const value = metrics[definition.metric];
+    const level = definition.direction === 'above'
+      ? (value - baseline) / threshold
+      : (1 - value / baseline) / threshold;
+    state.value = Math.max(0, level);
+
+    if (!state.active) {
+      if (level >= 1) {
+        if (state.candidateSince === null) {
+          state.candidateSince = timestamp;
+        }
+        if (timestamp - state.candidateSince >= definition.minDuration) {
+          state.active = true;
+          state.candidateSince = null;
+          this._emit(name, true, level);
+        }
+      } else {
+        state.candidateSince = null;
+      }
+    } else if (level < this.releaseRatio) {
+      state.active = false;
+      this._emit(name, false, level);
+    }
+  }
+
+  _emit(name, active, value) {
+    if (typeof this.onGesture === 'function') {
+      this.onGesture({ name, active, value });
+    }
+  }
+
+  _computeMetrics(landmarks, width, height) {
+    const L = this.landmarks;
+    if (!landmarks || !landmarks[L.LEFT_EYE_OUTER] || !landmarks[L.RIGHT_EYE_OUTER]) return null;
+
+    const distance = (a, b) => {
+      const pa = landmarks[a];
+      const pb = landmarks[b];
+      if (!pa || !pb) return 0;
+      return Math.hypot((pa.x - pb.x) * width, (pa.y - pb.y) * height);
+    };
+
+    // Everything is relative to the eye distance so it does not depend on camera distance
+    const eyeDistance = distance(L.LEFT_EYE_OUTER, L.RIGHT_EYE_OUTER);
+    if (eyeDistance === 0) return null;
+
+    const leftEyeWidth = distance(L.LEFT_EYE_OUTER, L.LEFT_EYE_INNER) || 1;
+    const rightEyeWidth = distance(L.RIGHT_EYE_OUTER, L.RIGHT_EYE_INNER) || 1;
+    const innerMouthWidth = distance(L.MOUTH_INNER_LEFT, L.MOUTH_INNER_RIGHT) || 1;
+
+    return {
+      mouthOpen: distance(L.UPPER_LIP_INNER, L.LOWER_LIP_INNER) / innerMouthWidth,
+      browHeight: (distance(L.LEFT_BROW, L.LEFT_EYE_TOP) + distance(L.RIGHT_BROW, L.RIGHT_EYE_TOP)) / 2 / eyeDistance,
+      leftEyeOpen: distance(L.LEFT_EYE_TOP, L.LEFT_EYE_BOTTOM) / leftEyeWidth,
+      rightEyeOpen: distance(L.RIGHT_EYE_TOP, L.RIGHT_EYE_BOTTOM) / rightEyeWidth,
+      mouthWidth: distance(L.MOUTH_LEFT, L.MOUTH_RIGHT) / eyeDistance
+    };
+  }
+
+  _finishNeutralCapture() {
+    const samples = this.neutralSamples;
+    this.neutralSamples = null;
+
+    Object.keys(this.baseline).forEach(metric => {
+      const sum = samples.reduce((acc, sample) => acc + sample[metric], 0);
+      this.baseline[metric] = sum / samples.length;
+    });
+
+    this._saveSettings();
+    console.log('Neutral face captured:', this.baseline);
+
+    if (typeof this.onNeutralCaptured === 'function') {
+      this.onNeutralCaptured({ ...this.baseline });
+    }
+  }
+
+  _loadSettings() {
+    try {
+      const stored = localStorage.getItem('headSynthGestureSettings');
+      if (stored) {
+        const settings = JSON.parse(stored);
+        Object.assign(this.baseline, settings.baseline || {});
+        Object.assign(this.thresholds, settings.thresholds || {});
+        Object.assign(this.enabled, settings.enabled || {});
+      }
+    } catch (error) {
+      console.warn('Could not load gesture settings:', error);
+    }
+  }
+
+  _saveSettings() {
+    localStorage.setItem('headSynthGestureSettings', JSON.stringify(this.getSettings()));
+  }
+}
@@ -0,0 +1,82 @@
+// guided-play.js - Follow-the-notes practice mode
+// A song is a sequence of scale notes; the next note to play is shown on the notes grid
+// and the song advances each time the player hits it
+
+export class GuidedPlay {
+  constructor() {
+    this.sequence = [];   // [{ noteIndex, octave }]
+    this.position = 0;
+    this.active = false;
+    this.hits = 0;
+    this.misses = 0;
+
+    // Callback functions
+    this.onTargetChange = null; // (noteIndex, position, length) - noteIndex is -1 when finished
+    this.onComplete = null;     // ({ hits, misses, length })
+  }
+
+  /**
+   * Start a song
+   * @param {Array} sequence - Notes to play, [{ noteIndex, octave }]
+   */
+  start(sequence) {
+    if (!sequence || sequence.length === 0) return false;
+
+    this.sequence = sequence;
+    this.position = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.active = true;
+    this._emitTarget();
+    return true;
+  }
+
+  stop() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.sequence = [];
+    this.position = 0;
+    if (typeof this.onTargetChange === 'function') {
+      this.onTargetChange(-1, 0, 0);
+    }
+  }
+
+  /**
+   * The player played a note
+   * @param {number} noteIndex - Index of the note in the scale
+   * @returns {boolean} Whether it was the target note
+   */
+  handleNote(noteIndex) {
+    if (!this.active) return false;
+
+    if (noteIndex !== this.getTarget()) {
+      this.misses++;
+      return false;
+    }
+
+    this.hits++;
+    this.position++;
+
+    if (this.position >= this.sequence.length) {
+      const result = { hits: this.hits, misses: this.misses, length: this.sequence.length };
+      this.stop();
+      if (typeof this.onComplete === 'function') {
+        this.onComplete(result);
+      }
+    } else {
+      this._emitTarget();
+    }
+    return true;
+  }
+
+  getTarget() {
+    return this.active ? this.sequence[this.position].noteIndex : -1;
+  }
+
+  _emitTarget() {
+    if (typeof this.onTargetChange === 'function') {
+      this.onTargetChange(this.getTarget(), this.position, this.sequence.length);
+    }
+  }
+}
@@ -0,0 +1,320 @@
+// head-input-source.js - Common interface of everything that can drive HeadSynth like a head
+// A source produces a raw pose (yaw/pitch/roll in degrees, tx/ty/tz translation) and this base
+// class turns it into the normalized x/y/z payload: axis selection, smoothing, calibration.
+//
+// Interface used by the rest of the app:
+//   start() / stop()           - async start, returns once the source is producing data
+//   isRunning                  - whether it is producing data
+//   onHeadMove(headData)       - normalized payload ({ x, y, z, input, rotation, translation, pose, sources });
+//                                pose is the unfiltered raw pose, which a recording can replay later
+//   onLandmarks(landmarks, w, h) - Face Mesh landmarks, for sources that have them
+//   onDriftChange({ active, shift }) - drift correction started or stopped, or the center was reset
+//   lastHeadData               - latest smoothed raw pose, read by the calibration
+//   lastPoseTime               - performance.now() time of lastHeadData
+//   setCalibrationData(), setAxisSource(), getAxisSources(), setFilter(), getFilterSettings(),
+//   setTransfer(), getTransferSettings(), setDriftCompensation(), recenter()
+//   startReplay(), replayPose(), stopReplay() - recorded poses stand in for the source's own
+import { AXIS_CHANNELS, DEFAULT_CHANNEL_CALIBRATION } from './head-pose.js';
+import { createFilter, defaultFilterSettings } from './motion-filters.js';
+import { applyTransfer, defaultTransferSettings } from './transfer-function.js';
+import { DriftCompensator } from './drift-compensation.js';
+
+export class HeadInputSource {
+  constructor() {
+    this.isRunning = false;
+    this.lastHeadData = { x: 0, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0, tx: 0, ty: 0, tz: 0 };
+    this.lastPoseTime = 0; // performance.now() of the latest pose, to tell when the face is lost
+    this.replaying = false; // Whether recorded poses are played in place of the source's own
+
+    // The channel (rotation or translation) that drives each axis
+    this.axisSources = { x: 'rotation', y: 'rotation', z: 'rotation' };
+    this.calibrationData = this._createDefaultCalibration();
+
+    // Callback functions for head movement and the raw landmark stream
+    this.onHeadMove = null;
+    this.onLandmarks = null;
+    this.onDriftChange = null;
+
+    // Noise filter of each axis, applied to both channels the axis can follow
+    this.filterSettings = {
+      x: defaultFilterSettings(),
+      y: defaultFilterSettings(),
+      z: defaultFilterSettings()
+    };
+    this.filters = {};
+    Object.keys(AXIS_CHANNELS).forEach(axis => this._createAxisFilters(axis));
+
+    // Response shaping of each axis after calibration
+    this.transferSettings = {
+      x: defaultTransferSettings(),
+      y: defaultTransferSettings(),
+      z: defaultTransferSettings()
+    };
+
+    // Optional slow re-centering on the resting pose
+    this.drift = new DriftCompensator();
+  }
+
+  async start() {
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  setCalibrationData(calibrationData) {
+    this.calibrationData = {
+      ...calibrationData,
+      sources: { ...(calibrationData.sources || this.axisSources) }
+    };
+    this.drift.reset();
+    console.log('Calibration data set:', calibrationData);
+  }
+
+  /**
+   * Choose whether an axis follows head rotation or head translation
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {string} source - 'rotation' or 'translation'
+   */
+  setAxisSource(axis, source) {
+    if (!AXIS_CHANNELS[axis] || !AXIS_CHANNELS[axis][source]) return false;
+
+    this.axisSources[axis] = source;
+
+    // A calibration taken for the other channel is meaningless for this one
+    if (this.calibrationData.sources[axis] !== source) {
+      const defaults = this._createDefaultCalibration();
+      const suffix = axis.toUpperCase();
+      ['center', 'range', 'negativeRange', 'positiveRange'].forEach(field => {
+        this.calibrationData[`${field}${suffix}`] = defaults[`${field}${suffix}`];
+      });
+      this.calibrationData.sources[axis] = source;
+      this.drift.reset();
+    }
+
+    // Re-derive the raw axis value from the new channel
+    this._selectAxes(this.lastHeadData);
+    return true;
+  }
+
+  getAxisSources() {
+    return { ...this.axisSources };
+  }
+
+  /**
+   * Choose the noise filter of an axis
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {Object} settings - { type, ...parameters }, see motion-filters.js
+   */
+  setFilter(axis, settings) {
+    if (!AXIS_CHANNELS[axis]) return false;
+
+    this.filterSettings[axis] = { ...settings };
+    this._createAxisFilters(axis);
+    return true;
+  }
+
+  getFilterSettings() {
+    return JSON.parse(JSON.stringify(this.filterSettings));
+  }
+
+  /**
+   * Set the response shaping of an axis
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {Object} settings - See transfer-function.js
+   */
+  setTransfer(axis, settings) {
+    if (!AXIS_CHANNELS[axis]) return false;
+
+    this.transferSettings[axis] = { ...defaultTransferSettings(), ...settings };
+    return true;
+  }
+
+  getTransferSettings() {
+    return JSON.parse(JSON.stringify(this.transferSettings));
+  }
+
+  /**
+   * Turn background re-centering on or off
+   * @param {boolean} enabled - Whether the center follows the resting pose
+   */
+  setDriftCompensation(enabled) {
+    this.drift.enabled = enabled;
+    if (!enabled && this.drift.active) {
+      this.drift.active = false;
+      this._emitDriftChange();
+    }
+  }
+
+  /**
+   * Make the current head pose the center, within the drift compensation's bounds
+   */
+  recenter() {
+    this.drift.recenter(this.lastHeadData, this.calibrationData);
+    this._emitDriftChange();
+  }
+
+  /**
+   * Play recorded poses instead of the source's own until stopReplay()
+   * They go through this source's current mapping, filters, calibration and response curves
+   */
+  startReplay() {
+    this.replaying = true;
+    this._resetFilters();
+  }
+
+  /**
+   * Feed one recorded raw pose through the pipeline
+   * @param {Object} pose - { yaw, pitch, roll, tx, ty, tz }
+   * @param {number} timestamp - performance.now() time the pose is played at
+   */
+  replayPose(pose, timestamp) {
+    if (!this.replaying) return;
+    this._processPose(pose, timestamp);
+  }
+
+  stopReplay() {
+    if (!this.replaying) return;
+    this.replaying = false;
+    this._resetFilters();
+  }
+
+  _emitDriftChange() {
+    if (typeof this.onDriftChange === 'function') {
+      this.onDriftChange({ active: this.drift.active, shift: this.drift.getShift(this.calibrationData) });
+    }
+  }
+
+  /**
+   * Feed a raw pose through smoothing, drift correction and calibration, and emit the normalized payload
+   * @param {Object} pose - { yaw, pitch, roll, tx, ty, tz }
+   * @param {number} timestamp - performance.now() time of the pose
+   */
+  _emitPose(pose, timestamp = performance.now()) {
+    // The source's own poses are dropped while a recording plays in their place
+    if (this.replaying) return;
+    this._processPose(pose, timestamp);
+  }
+
+  _processPose(pose, timestamp) {
+    this._smoothHeadData(pose, timestamp / 1000);
+    this.lastPoseTime = timestamp;
+
+    if (this.drift.enabled) {
+      const wasActive = this.drift.active;
+      if (this.drift.update(this.lastHeadData, this.calibrationData, timestamp) !== wasActive) {
+        this._emitDriftChange();
+      }
+    }
+
+    const normalizedHeadData = this._applyCalibration(this.lastHeadData);
+    normalizedHeadData.pose = {};
+    Object.keys(this.filters).forEach(channel => {
+      normalizedHeadData.pose[channel] = pose[channel];
+    });
+    if (typeof this.onHeadMove === 'function') {
+      this.onHeadMove(normalizedHeadData);
+    }
+  }
+
+  /**
+   * Raw pose that lands on given normalized positions under the default calibration
+   * Synthetic sources use it, so both rotation and translation mappings respond to them
+   * @param {Object} position - { x, y, z }, each -1 to 1
+   * @returns {Object} { yaw, pitch, roll, tx, ty, tz }
+   */
+  _poseFromNormalized({ x = 0, y = 0, z = 0 }) {
+    const pose = {};
+    const values = { x, y, z };
+    Object.keys(AXIS_CHANNELS).forEach(axis => {
+      Object.values(AXIS_CHANNELS[axis]).forEach(channel => {
+        const { center, range } = DEFAULT_CHANNEL_CALIBRATION[channel];
+        pose[channel] = center + Math.max(-1, Math.min(1, values[axis])) * range / 2;
+      });
+    });
+    return pose;
+  }
+
+  _createDefaultCalibration() {
+    const calibration = { sources: { ...this.axisSources } };
+    Object.keys(AXIS_CHANNELS).forEach(axis => {
+      const channel = AXIS_CHANNELS[axis][this.axisSources[axis]];
+      const suffix = axis.toUpperCase();
+      const { center, range } = DEFAULT_CHANNEL_CALIBRATION[channel];
+      calibration[`center${suffix}`] = center;
+      calibration[`range${suffix}`] = range;
+      calibration[`negativeRange${suffix}`] = range / 2;
+      calibration[`positiveRange${suffix}`] = range / 2;
+    });
+    return calibration;
+  }
+
+  _selectAxes(headData) {
+    // Fill in the raw x/y/z values from the channel chosen for each axis
+    Object.keys(AXIS_CHANNELS).forEach(axis => {
+      headData[axis] = headData[AXIS_CHANNELS[axis][this.axisSources[axis]]];
+    });
+    return headData;
+  }
+
+  _createAxisFilters(axis) {
+    Object.values(AXIS_CHANNELS[axis]).forEach(channel => {
+      this.filters[channel] = createFilter(this.filterSettings[axis]);
+    });
+  }
+
+  _resetFilters() {
+    // A filter must not blend poses of one stream into another
+    Object.keys(AXIS_CHANNELS).forEach(axis => this._createAxisFilters(axis));
+  }
+
+  _smoothHeadData(headData, time) {
+    // Filter every pose channel in fractions of its range, so settings suit every unit
+    Object.keys(this.filters).forEach(channel => {
+      const range = DEFAULT_CHANNEL_CALIBRATION[channel].range;
+      this.lastHeadData[channel] = this.filters[channel].filter(headData[channel] / range, time) * range;
+    });
+    this._selectAxes(this.lastHeadData);
+  }
+
+  _normalizeAxis(value, suffix) {
+    // Each side of the center maps onto its own half of the range, so a short reach in one
+    // direction still covers every note; calibrations without sides use half the full span.
+    // The center follows the drift compensation's offset from the calibrated one
+    const calibration = this.calibrationData;
+    const offset = value - this.drift.getCenter(calibration, suffix.toLowerCase());
+    const side = offset < 0 ? 'negativeRange' : 'positiveRange';
+    const extent = calibration[`${side}${suffix}`] || calibration[`range${suffix}`] / 2;
+    return Math.max(-1, Math.min(1, offset / extent));
+  }
+
+  _applyCalibration(headData) {
+    // Normalize values based on calibration data, clamp them to range [-1, 1] and shape
+    // them; the unshaped values travel along as input, and the raw pose for consumers
+    // that want rotation (degrees) and translation
+    const input = {
+      x: this._normalizeAxis(headData.x, 'X'),
+      y: this._normalizeAxis(headData.y, 'Y'),
+      z: this._normalizeAxis(headData.z, 'Z')
+    };
+
+    return {
+      x: applyTransfer(input.x, this.transferSettings.x),
+      y: applyTransfer(input.y, this.transferSettings.y),
+      z: applyTransfer(input.z, this.transferSettings.z),
+      input,
+      rotation: {
+        yaw: headData.yaw,
+        pitch: headData.pitch,
+        roll: headData.roll
+      },
+      translation: {
+        x: headData.tx,
+        y: headData.ty,
+        z: headData.tz
+      },
+      sources: { ...this.axisSources }
+    };
+  }
+}
@@ -0,0 +1,135 @@
+// head-pose.js - 3D head pose estimation from MediaPipe Face Mesh landmarks
+// Separates head rotation (yaw/pitch/roll) from head translation so that
+// moving the whole body sideways is no longer mistaken for turning the head
+
+// Landmark indices used to build the face coordinate frame
+const LANDMARKS = {
+  NOSE_TIP: 1,
+  FOREHEAD: 10,
+  CHIN: 152,
+  LEFT_EYE_OUTER: 33,   // Left side of the camera image
+  RIGHT_EYE_OUTER: 263  // Right side of the camera image
+};
+
+// Interocular distance (fraction of frame width) of a face roughly 60cm from a laptop camera
+const REFERENCE_EYE_DISTANCE = 0.12;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Channels a head axis can be driven by
+ * x: turning (yaw) or moving sideways
+ * y: nodding (pitch) or moving up/down
+ * z: tilting (roll) or leaning towards/away from the camera
+ */
+export const AXIS_CHANNELS = {
+  x: { rotation: 'yaw', translation: 'tx' },
+  y: { rotation: 'pitch', translation: 'ty' },
+  z: { rotation: 'roll', translation: 'tz' }
+};
+
+/**
+ * Default calibration (center and full span) for each pose channel,
+ * used until the user runs a calibration
+ */
+export const DEFAULT_CHANNEL_CALIBRATION = {
+  yaw: { center: 0, range: 60 },    // degrees, ±30° reaches the edges
+  pitch: { center: 0, range: 40 },  // degrees, ±20°
+  roll: { center: 0, range: 40 },   // degrees, ±20°
+  tx: { center: 0, range: 0.5 },    // fraction of frame width
+  ty: { center: 0, range: 0.5 },    // fraction of frame height
+  tz: { center: 0, range: 0.6 }     // relative change in face size
+};
+
+export class HeadPoseEstimator {
+  constructor() {
+    this.landmarks = LANDMARKS;
+    this.referenceEyeDistance = REFERENCE_EYE_DISTANCE;
+  }
+
+  /**
+   * Estimate the head pose from a set of face landmarks
+   * Rotation angles are in degrees:
+   *   yaw   - positive when the nose turns towards the right of the camera image
+   *   pitch - positive when the head is raised
+   *   roll  - positive when the head tilts clockwise in the camera image
+   * Translation is the face center relative to the image center:
+   *   tx - positive towards the right of the image (fraction of frame width)
+   *   ty - positive upwards (fraction of frame height)
+   *   tz - positive when the face comes closer to the camera
+   * @param {Array} landmarks - Normalized Face Mesh landmarks ({x, y, z})
+   * @param {number} width - Width of the camera frame in pixels
+   * @param {number} height - Height of the camera frame in pixels
+   * @returns {Object|null} Pose object, or null if the landmarks are unusable
+   */
+  estimate(landmarks, width = 640, height = 480) {
+    const L = this.landmarks;
+    const required = [L.FOREHEAD, L.CHIN, L.LEFT_EYE_OUTER, L.RIGHT_EYE_OUTER, L.NOSE_TIP];
+    if (!landmarks || required.some(index => !landmarks[index])) return null;
+
+    // Bring landmarks into a metric-ish space: X right, Y up, Z towards the camera.
+    // Face Mesh normalizes x by width and y by height, and z uses roughly the x scale.
+    const toPoint = (landmark) => ({
+      x: landmark.x * width,
+      y: -landmark.y * height,
+      z: -(landmark.z || 0) * width
+    });
+
+    const leftEye = toPoint(landmarks[L.LEFT_EYE_OUTER]);
+    const rightEye = toPoint(landmarks[L.RIGHT_EYE_OUTER]);
+    const forehead = toPoint(landmarks[L.FOREHEAD]);
+    const chin = toPoint(landmarks[L.CHIN]);
+
+    // Face frame: right axis across the eyes, up axis from chin to forehead
+    const right = this._normalize(this._subtract(rightEye, leftEye));
+    if (!right) return null;
+    const forward = this._normalize(this._cross(right, this._subtract(forehead, chin)));
+    if (!forward) return null;
+    const up = this._cross(forward, right);
+
+    // Decompose R = Ry(yaw) * Rx(pitch) * Rz(roll), where R = [right up forward]
+    const yaw = Math.atan2(forward.x, forward.z) * RAD_TO_DEG;
+    const pitch = Math.asin(Math.max(-1, Math.min(1, forward.y))) * RAD_TO_DEG;
+    const roll = Math.atan2(-right.y, up.y) * RAD_TO_DEG;
+
+    // Translation from the face center, which stays put while the head rotates
+    const faceCenterX = (landmarks[L.LEFT_EYE_OUTER].x + landmarks[L.RIGHT_EYE_OUTER].x +
+                         landmarks[L.FOREHEAD].x + landmarks[L.CHIN].x) / 4;
+    const faceCenterY = (landmarks[L.LEFT_EYE_OUTER].y + landmarks[L.RIGHT_EYE_OUTER].y +
+                         landmarks[L.FOREHEAD].y + landmarks[L.CHIN].y) / 4;
+
+    // Depth from the 3D eye distance, which does not shrink when the head turns
+    const eyeDistance = this._length(this._subtract(rightEye, leftEye)) / width;
+
+    return {
+      yaw,
+      pitch,
+      roll,
+      tx: faceCenterX - 0.5,
+      ty: 0.5 - faceCenterY,
+      tz: eyeDistance / this.referenceEyeDistance - 1
+    };
+  }
+
+  _subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  _cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x
+    };
+  }
+
+  _length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  }
+
+  _normalize(v) {
+    const length = this._length(v);
+    if (length === 0) return null;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+  }
+}
@@ -1,27 +1,26 @@
 // head-tracker.js - Tracks head movements using MediaPipe Face Mesh
-export class HeadTracker {
-  constructor(videoElement, canvasElement) {
+// The camera head-input source: landmarks from the webcam are solved into a head pose
+import { HeadPoseEstimator } from './head-pose.js';
+import { HeadInputSource } from './head-input-source.js';
+
+export class HeadTracker extends HeadInputSource {
+  /**
+   * @param {HTMLVideoElement} videoElement - Shows the webcam feed
+   * @param {HTMLCanvasElement} canvasElement - Face Mesh overlay
+   * @param {string} assetBaseUrl - Base URL of the MediaPipe packages, where the Face Mesh
+   *   model files are loaded from
+   */
+  constructor(videoElement, canvasElement, assetBaseUrl = 'https://cdn.jsdelivr.net/npm/@mediapipe/') {
+    super();
     this.video = videoElement;
     this.canvas = canvasElement;
+    this.assetBaseUrl = assetBaseUrl;
     this.canvasCtx = this.canvas.getContext('2d');
     this.faceMesh = null;
     this.camera = null;
-    this.isRunning = false;
-    this.lastHeadData = { x: 0, y: 0, z: 0 };
-    this.calibrationData = {
-      centerX: 0,
-      centerY: 0,
-      centerZ: 0,
-      rangeX: 1,
-      rangeY: 1,
-      rangeZ: 1
-    };
-    
-    // Callback function for head movement
-    this.onHeadMove = null;
     
-    // Smoothing factors
-    this.smoothingFactor = 0.7; // Higher values mean more smoothing
+    // Pose solver
+    this.poseEstimator = new HeadPoseEstimator();
     
     // Initialize face mesh
     this._initFaceMesh();
@@ -31,7 +30,7 @@ export class HeadTracker {
     try {
       this.faceMesh = new FaceMesh({
         locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+          return `${this.assetBaseUrl}face_mesh/${file}`;
         }
       });
       
@@ -175,11 +174,6 @@ export class HeadTracker {
     console.log('Head tracker stopped');
   }
   
-  setCalibrationData(calibrationData) {
-    this.calibrationData = calibrationData;
-    console.log('Calibration data set:', calibrationData);
-  }
-  
   _handleResults(results) {
     if (!this.isRunning) return;
     
@@ -200,18 +194,16 @@ export class HeadTracker {
       drawConnectors(this.canvasCtx, landmarks, FACEMESH_FACE_OVAL, 
                     { color: '#E0E0E0', lineWidth: 2 });
       
-      // Extract head position and orientation
-      const headData = this._extractHeadData(landmarks);
-      
-      // Apply smoothing to head data
-      this._smoothHeadData(headData);
+      // Share the raw landmarks (e.g. for facial gesture detection)
+      if (typeof this.onLandmarks === 'function') {
+        this.onLandmarks(landmarks, this.canvas.width, this.canvas.height);
+      }
       
-      // Apply calibration
-      const normalizedHeadData = this._applyCalibration(this.lastHeadData);
+      // Extract head position and orientation, then smooth, calibrate and emit it
+      const headData = this._extractHeadData(landmarks);
       
-      // Call the callback function if available
-      if (typeof this.onHeadMove === 'function') {
-        this.onHeadMove(normalizedHeadData);
+      if (headData) {
+        this._emitPose(headData);
       }
     }
     
@@ -219,69 +211,8 @@ export class HeadTracker {
   }
   
   _extractHeadData(landmarks) {
-    // Important landmark indices for head tracking
-    const NOSE_TIP = 1;  // Nose tip
-    const LEFT_EYE = 33;  // Left eye
-    const RIGHT_EYE = 263;  // Right eye
-    const LEFT_CHEEK = 93;  // Left cheek
-    const RIGHT_CHEEK = 323;  // Right cheek
-    const FOREHEAD = 10;  // Forehead
-    const CHIN = 152;  // Chin
-    
-    // Get nose position for horizontal movement (left-right)
-    const noseX = landmarks[NOSE_TIP].x;
-    
-    // Calculate vertical position (up-down) using eyes and chin
-    const eyesY = (landmarks[LEFT_EYE].y + landmarks[RIGHT_EYE].y) / 2;
-    const chinY = landmarks[CHIN].y;
-    const verticalRatio = (eyesY - landmarks[FOREHEAD].y) / (chinY - landmarks[FOREHEAD].y);
-    
-    // Calculate head rotation/tilt using eye positions
-    const leftEye = landmarks[LEFT_EYE];
-    const rightEye = landmarks[RIGHT_EYE];
-    const eyeDistance = Math.sqrt(
-      Math.pow(rightEye.x - leftEye.x, 2) + 
-      Math.pow(rightEye.y - leftEye.y, 2)
-    );
-    
-    // Calculate cheek distance to estimate depth and head rotation
-    const cheekDistance = Math.sqrt(
-      Math.pow(landmarks[RIGHT_CHEEK].x - landmarks[LEFT_CHEEK].x, 2) + 
-      Math.pow(landmarks[RIGHT_CHEEK].y - landmarks[LEFT_CHEEK].y, 2)
-    );
-    
-    // Calculate head tilt (Z-axis rotation)
-    const eyeSlope = (rightEye.y - leftEye.y) / (rightEye.x - leftEye.x);
-    const tiltZ = Math.atan(eyeSlope);
-    
-    return {
-      x: noseX,
-      y: verticalRatio,
-      z: tiltZ,
-      eyeDistance: eyeDistance,
-      cheekDistance: cheekDistance
-    };
-  }
-  
-  _smoothHeadData(headData) {
-    // Apply exponential smoothing
-    this.lastHeadData.x = this.smoothingFactor * this.lastHeadData.x + (1 - this.smoothingFactor) * headData.x;
-    this.lastHeadData.y = this.smoothingFactor * this.lastHeadData.y + (1 - this.smoothingFactor) * headData.y;
-    this.lastHeadData.z = this.smoothingFactor * this.lastHeadData.z + (1 - this.smoothingFactor) * headData.z;
-  }
-  
-  _applyCalibration(headData) {
-    // Normalize values based on calibration data
-    const normalizedX = (headData.x - this.calibrationData.centerX) / this.calibrationData.rangeX;
-    const normalizedY = (headData.y - this.calibrationData.centerY) / this.calibrationData.rangeY;
-    const normalizedZ = (headData.z - this.calibrationData.centerZ) / this.calibrationData.rangeZ;
-    
-    // Clamp values to range [-1, 1]
-    return {
-      x: Math.max(-1, Math.min(1, normalizedX * 2)),
-      y: Math.max(-1, Math.min(1, normalizedY * 2)),
-      z: Math.max(-1, Math.min(1, normalizedZ * 2))
-    };
+    // Solve the 3D head pose (rotation and translation) from the landmarks
+    return this.poseEstimator.estimate(landmarks, this.canvas.width, this.canvas.height);
   }
   
   getCameraFeed() {
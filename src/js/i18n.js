@@ -35,6 +35,81 @@ const translations = {
       reverb: "Reverb",
       delay: "Delay",
       
+      // Tracking
+      tracking: "Tracking",
+      noteAxis: "Notes",
+      velocityAxis: "Volume",
+      effectAxis: "Effects",
+      axisTurn: "Turn head",
+      axisMoveSideways: "Move sideways",
+      axisNod: "Nod head",
+      axisMoveUpDown: "Move up/down",
+      axisTilt: "Tilt head",
+      axisLean: "Lean in/out",
+      inputSource: "Input",
+      inputCamera: "Camera",
+      inputMouse: "Mouse / trackpad",
+      inputKeyboard: "Keyboard arrows",
+      inputSweep: "Scripted sweep",
+      inputRandomWalk: "Random walk",
+      inputLandmarkFile: "Landmark file",
+      loadLandmarks: "Load Landmarks",
+      recordLandmarks: "Record Landmarks",
+      stopLandmarks: "Stop Landmarks",
+      driftCompensation: "Re-center while resting",
+      recenterNow: "Recenter Now",
+      driftCorrection: "Drift Correction",
+      
+      // Motion filter
+      motionFilter: "Motion Filter",
+      filterAxis: "Axis",
+      filterType: "Filter",
+      filterExponential: "Exponential",
+      filterOneEuro: "One Euro (adaptive)",
+      filterMedian: "Median",
+      filterKalman: "Kalman",
+      filterSmoothing: "Smoothing",
+      filterMinCutoff: "Min cutoff (Hz)",
+      filterBeta: "Speed response (beta)",
+      filterWindowSize: "Window (samples)",
+      filterProcessNoise: "Motion freedom",
+      filterMeasurementNoise: "Jitter",
+      filterHint: "For tremor, One Euro smooths small movements strongly and lets fast ones through",
+      
+      // Response curves
+      responseCurves: "Response Curves",
+      deadZone: "Dead zone",
+      responseCurve: "Curve",
+      curveLinear: "Linear",
+      curveExponent: "Exponent",
+      curveS: "S-curve",
+      curveStrength: "Curve strength",
+      outputMin: "Output min",
+      outputMax: "Output max",
+      invertAxis: "Invert",
+      mirrorAxis: "Mirror around center",
+      resetCurve: "Reset",
+      
+      // Profiles
+      profiles: "Profiles",
+      saveProfile: "Save",
+      loadProfile: "Load",
+      deleteProfile: "Delete",
+      exportProfile: "Export",
+      importProfile: "Import",
+      chooseProfile: "Who is playing?",
+      chooseProfileText: "Choose a saved profile to skip calibration.",
+      useProfile: "Use Profile",
+      continueWithoutProfile: "Continue Without Profile",
+      
+      // Play mode
+      triggerMode: "Play Mode",
+      triggerLegato: "Continuous (legato)",
+      triggerDwell: "Dwell to play",
+      triggerGesture: "Gesture to play",
+      triggerQuantized: "On the beat",
+      dwellTime: "Dwell Time",
+      
       // Status panel
       currentNote: "Note: --",
       modeDisplay: "Mode: Paused",
@@ -45,6 +120,60 @@ const translations = {
       playLoop: "Play Loop",
       stopLoop: "Stop Loop",
       clearLoop: "Clear Loop",
+      overdubMerge: "Overdub: merge",
+      overdubReplace: "Overdub: replace",
+      tempo: "Tempo (BPM)",
+      loopBars: "Bars per loop",
+      quantizeLoops: "Snap loops to the bar",
+      timeSignature: "Time signature",
+      countIn: "Count-in",
+      countInOff: "None",
+      countInOneBar: "1 bar",
+      countInTwoBars: "2 bars",
+      metronome: "Metronome click",
+      saveSession: "Save",
+      loadSession: "Load",
+      deleteSession: "Delete",
+      exportSession: "Export",
+      importSession: "Import",
+      exportMidi: "Export MIDI",
+      importMidi: "Import MIDI",
+      renderWav: "Render to WAV",
+      renderCycles: "Loop cycles",
+      renderTail: "Tail",
+      renderTailOff: "None",
+      bitDepth: "Bit depth",
+      midiTrack: "MIDI track",
+      midiTarget: "Use as",
+      midiAsLoop: "Loop track (backing)",
+      midiAsGuided: "Guided play song",
+      outOfScaleNotes: "Notes outside the scale",
+      snapToScale: "Snap to the nearest scale note",
+      switchToChromatic: "Switch to the chromatic scale",
+      guidedPlay: "Guided Play",
+      stopGuidedPlay: "Stop",
+      
+      // Gestures
+      gestures: "Facial Gestures",
+      captureNeutral: "Capture Neutral Face",
+      
+      // Recorder
+      recorder: "Performance Recorder",
+      startRecording: "Record",
+      stopRecording: "Stop Recording",
+      download: "Download",
+      recordVideo: "Record Video",
+      stopVideo: "Stop Video",
+      videoLayerCamera: "Camera",
+      videoLayerFaceMesh: "Face mesh",
+      videoLayerNotes: "Notes",
+      videoLayerNoteName: "Note name",
+      recordMotion: "Record Motion",
+      stopMotion: "Stop Motion",
+      replayMotion: "Replay Motion",
+      stopReplay: "Stop Replay",
+      exportMotion: "Export Motion",
+      importMotion: "Import Motion",
       
       // Calibration modal
       calibrationTitle: "System Calibration",
@@ -64,6 +193,12 @@ const translations = {
       calibrationFailed: "Calibration failed. Please try again.",
       skipCalibration: "Use Default Settings",
       completeCalibration: "Complete",
+      calibrationMode: "Calibration mode",
+      calibrationModeTimed: "Timed steps",
+      calibrationModeTargets: "Targets and note check",
+      noteCheckTitle: "Note Check",
+      widenRanges: "Widen Range",
+      keepRanges: "Keep As Is",
       
       // Help modal
       helpTitle: "How to Use HeadSynth",
@@ -135,6 +270,81 @@ const translations = {
       reverb: "הדהוד",
       delay: "השהייה",
       
+      // Tracking
+      tracking: "מעקב",
+      noteAxis: "תווים",
+      velocityAxis: "עוצמה",
+      effectAxis: "אפקטים",
+      axisTurn: "סיבוב ראש",
+      axisMoveSideways: "תזוזה לצדדים",
+      axisNod: "הנהון ראש",
+      axisMoveUpDown: "תזוזה למעלה/למטה",
+      axisTilt: "הטיית ראש",
+      axisLean: "התקרבות/התרחקות",
+      inputSource: "קלט",
+      inputCamera: "מצלמה",
+      inputMouse: "עכבר / משטח מגע",
+      inputKeyboard: "חיצי מקלדת",
+      inputSweep: "תנועה מתוסרטת",
+      inputRandomWalk: "הליכה אקראית",
+      inputLandmarkFile: "קובץ נקודות פנים",
+      loadLandmarks: "טען נקודות פנים",
+      recordLandmarks: "הקלט נקודות פנים",
+      stopLandmarks: "עצור הקלטת נקודות",
+      driftCompensation: "מרכוז מחדש במנוחה",
+      recenterNow: "מרכז עכשיו",
+      driftCorrection: "תיקון סחיפה",
+      
+      // Motion filter
+      motionFilter: "סינון תנועה",
+      filterAxis: "ציר",
+      filterType: "מסנן",
+      filterExponential: "מעריכי",
+      filterOneEuro: "One Euro (מסתגל)",
+      filterMedian: "חציון",
+      filterKalman: "קלמן",
+      filterSmoothing: "החלקה",
+      filterMinCutoff: "תדר קיטעון מינימלי (Hz)",
+      filterBeta: "תגובה למהירות (beta)",
+      filterWindowSize: "חלון (דגימות)",
+      filterProcessNoise: "חופש תנועה",
+      filterMeasurementNoise: "רעד",
+      filterHint: "לרעד: One Euro מחליק תנועות קטנות בחוזקה ומעביר תנועות מהירות",
+      
+      // Response curves
+      responseCurves: "עקומות תגובה",
+      deadZone: "אזור מת",
+      responseCurve: "עקומה",
+      curveLinear: "לינארית",
+      curveExponent: "מעריכית",
+      curveS: "עקומת S",
+      curveStrength: "עוצמת העקומה",
+      outputMin: "פלט מינימלי",
+      outputMax: "פלט מקסימלי",
+      invertAxis: "היפוך",
+      mirrorAxis: "שיקוף סביב המרכז",
+      resetCurve: "איפוס",
+      
+      // Profiles
+      profiles: "פרופילים",
+      saveProfile: "שמור",
+      loadProfile: "טען",
+      deleteProfile: "מחק",
+      exportProfile: "ייצא",
+      importProfile: "ייבא",
+      chooseProfile: "מי מנגן?",
+      chooseProfileText: "בחר פרופיל שמור כדי לדלג על הכיול.",
+      useProfile: "השתמש בפרופיל",
+      continueWithoutProfile: "המשך ללא פרופיל",
+      
+      // Play mode
+      triggerMode: "מצב נגינה",
+      triggerLegato: "רציף (לגאטו)",
+      triggerDwell: "השהייה לנגינה",
+      triggerGesture: "מחווה לנגינה",
+      triggerQuantized: "על הפעמה",
+      dwellTime: "זמן השהייה",
+      
       // Status panel
       currentNote: "נוטה: --",
       modeDisplay: "מצב: מושהה",
@@ -145,6 +355,60 @@ const translations = {
       playLoop: "נגן לופ",
       stopLoop: "עצור לופ",
       clearLoop: "נקה לופ",
+      overdubMerge: "הקלטה נוספת: מיזוג",
+      overdubReplace: "הקלטה נוספת: החלפה",
+      tempo: "קצב (BPM)",
+      loopBars: "תיבות בלופ",
+      quantizeLoops: "יישור לופים לתיבה",
+      timeSignature: "משקל",
+      countIn: "ספירה לפני הקלטה",
+      countInOff: "ללא",
+      countInOneBar: "תיבה אחת",
+      countInTwoBars: "שתי תיבות",
+      metronome: "מטרונום",
+      saveSession: "שמור",
+      loadSession: "טען",
+      deleteSession: "מחק",
+      exportSession: "ייצא",
+      importSession: "ייבא",
+      exportMidi: "ייצוא MIDI",
+      importMidi: "ייבוא MIDI",
+      renderWav: "ייצוא ל-WAV",
+      renderCycles: "מחזורי לופ",
+      renderTail: "זנב",
+      renderTailOff: "ללא",
+      bitDepth: "עומק סיביות",
+      midiTrack: "ערוץ MIDI",
+      midiTarget: "שימוש כ",
+      midiAsLoop: "ערוץ לופ (ליווי)",
+      midiAsGuided: "שיר לנגינה מודרכת",
+      outOfScaleNotes: "תווים מחוץ לסולם",
+      snapToScale: "הצמדה לתו הקרוב בסולם",
+      switchToChromatic: "מעבר לסולם כרומטי",
+      guidedPlay: "נגינה מודרכת",
+      stopGuidedPlay: "עצור",
+      
+      // Gestures
+      gestures: "מחוות פנים",
+      captureNeutral: "שמור הבעה ניטרלית",
+      
+      // Recorder
+      recorder: "הקלטת הופעה",
+      startRecording: "הקלט",
+      stopRecording: "עצור הקלטה",
+      download: "הורדה",
+      recordVideo: "הקלט וידאו",
+      stopVideo: "עצור וידאו",
+      videoLayerCamera: "מצלמה",
+      videoLayerFaceMesh: "רשת פנים",
+      videoLayerNotes: "תווים",
+      videoLayerNoteName: "שם התו",
+      recordMotion: "הקלט תנועה",
+      stopMotion: "עצור תנועה",
+      replayMotion: "נגן תנועה",
+      stopReplay: "עצור ניגון",
+      exportMotion: "ייצא תנועה",
+      importMotion: "ייבא תנועה",
       
       // Calibration modal
       calibrationTitle: "כיול מערכת",
@@ -164,6 +428,12 @@ const translations = {
       calibrationFailed: "הכיול נכשל. אנא נסה שוב.",
       skipCalibration: "השתמש בהגדרות ברירת מחדל",
       completeCalibration: "השלם",
+      calibrationMode: "מצב כיול",
+      calibrationModeTimed: "שלבים מתוזמנים",
+      calibrationModeTargets: "מטרות ובדיקת תווים",
+      noteCheckTitle: "בדיקת תווים",
+      widenRanges: "הרחב טווח",
+      keepRanges: "השאר כך",
       
       // Help modal
       helpTitle: "כיצד להשתמש ב-HeadSynth",
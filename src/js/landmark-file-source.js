@@ -0,0 +1,201 @@
+// landmark-file-source.js - Records Face Mesh landmarks to a file and plays them back as a head
+// Played-back landmarks go through the same pose solver as the webcam, and are shared through
+// onLandmarks too, so tracking, calibration and facial gestures can be exercised without a camera
+import { HeadPoseEstimator } from './head-pose.js';
+import { HeadInputSource } from './head-input-source.js';
+
+export const LANDMARK_FORMAT = 'headsynth-landmarks';
+export const LANDMARK_VERSION = 1;
+
+const PRECISION = 100000; // Coordinates are stored with 5 decimals
+
+export class LandmarkRecorder {
+  constructor() {
+    this.recording = false;
+    this.startTime = 0;
+    this.width = 640;
+    this.height = 480;
+    this.frames = [];
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  start() {
+    this.frames = [];
+    this.startTime = performance.now();
+    this.recording = true;
+  }
+
+  /**
+   * Add one set of landmarks, as shared by HeadTracker.onLandmarks
+   * @param {Array} landmarks - Normalized Face Mesh landmarks ({x, y, z})
+   * @param {number} width - Width of the camera frame in pixels
+   * @param {number} height - Height of the camera frame in pixels
+   */
+  record(landmarks, width, height) {
+    if (!this.recording) return;
+
+    this.width = width;
+    this.height = height;
+    this.frames.push({
+      t: Math.round(performance.now() - this.startTime),
+      landmarks: landmarks.map(point => [round(point.x), round(point.y), round(point.z)])
+    });
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} Landmark document, or null if nothing was recorded
+   */
+  stop() {
+    if (!this.recording) return null;
+    this.recording = false;
+
+    if (this.frames.length === 0) return null;
+
+    const frames = this.frames;
+    this.frames = [];
+    return {
+      format: LANDMARK_FORMAT,
+      version: LANDMARK_VERSION,
+      recordedAt: new Date().toISOString(),
+      width: this.width,
+      height: this.height,
+      duration: frames[frames.length - 1].t,
+      frames
+    };
+  }
+}
+
+export class LandmarkFileSource extends HeadInputSource {
+  constructor() {
+    super();
+    this.poseEstimator = new HeadPoseEstimator();
+    this.file = null;
+    this.loop = true;
+    this.position = 0;
+    this.startTime = 0;
+    this.timeoutId = null;
+  }
+
+  /**
+   * Set the landmark file to play
+   * @param {Object} file - From LandmarkRecorder.stop() or decodeLandmarks()
+   */
+  load(file) {
+    validateLandmarks(file);
+    this.file = file;
+  }
+
+  hasFile() {
+    return this.file !== null;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    if (!this.file) {
+      throw new Error('לא נטען קובץ נקודות פנים');
+    }
+
+    this.isRunning = true;
+    this.position = 0;
+    this.startTime = performance.now();
+    this._scheduleNext();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.isRunning = false;
+  }
+
+  _scheduleNext() {
+    const frames = this.file.frames;
+    if (this.position >= frames.length) {
+      if (!this.loop) {
+        this.stop();
+        return;
+      }
+      // Start the next pass one frame interval after the last frame
+      const interval = frames.length > 1 ? frames[1].t - frames[0].t : 33;
+      this.startTime += this.file.duration + interval;
+      this.position = 0;
+    }
+
+    const delay = this.startTime + frames[this.position].t - performance.now();
+    this.timeoutId = setTimeout(() => {
+      // Frames that are already overdue are skipped; only the latest one is solved
+      const now = performance.now();
+      let frame = frames[this.position++];
+      while (this.position < frames.length && this.startTime + frames[this.position].t <= now) {
+        frame = frames[this.position++];
+      }
+      this._playFrame(frame);
+      if (this.isRunning) {
+        this._scheduleNext();
+      }
+    }, Math.max(0, delay));
+  }
+
+  _playFrame(frame) {
+    const { width, height } = this.file;
+    const landmarks = frame.landmarks.map(([x, y, z]) => ({ x, y, z }));
+
+    if (typeof this.onLandmarks === 'function') {
+      this.onLandmarks(landmarks, width, height);
+    }
+
+    const pose = this.poseEstimator.estimate(landmarks, width, height);
+    if (pose) {
+      this._emitPose(pose);
+    }
+  }
+}
+
+/**
+ * Serialize a landmark file as compact JSON
+ * @param {Object} file - Landmark file
+ * @returns {string} JSON text
+ */
+export function encodeLandmarks(file) {
+  validateLandmarks(file);
+  return JSON.stringify(file);
+}
+
+/**
+ * Read a landmark file from JSON text
+ * @param {string} text - JSON text
+ * @returns {Object} Validated landmark file
+ */
+export function decodeLandmarks(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  validateLandmarks(file);
+  return file;
+}
+
+function validateLandmarks(file) {
+  if (!file || file.format !== LANDMARK_FORMAT) {
+    throw new Error('The file is not a HeadSynth landmark recording');
+  }
+  if (typeof file.version !== 'number' || file.version > LANDMARK_VERSION) {
+    throw new Error(`Unsupported landmark recording version: ${file.version}`);
+  }
+  if (!Array.isArray(file.frames) || file.frames.length === 0 ||
+      file.frames.some(frame => typeof frame.t !== 'number' || !Array.isArray(frame.landmarks))) {
+    throw new Error('The landmark recording has no valid frames');
+  }
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * PRECISION) / PRECISION : 0;
+}
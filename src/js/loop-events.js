@@ -0,0 +1,9 @@
+// loop-events.js - Helpers shared by the code that records, edits and converts loop events
+// A loop event is { type: 'note' | 'noteOff' | 'effect', noteIndex, velocity, octave, effectValue, time }
+
+// Notes are the same when both their scale degree and octave match
+export const noteKey = (event) => `${event.noteIndex}:${event.octave}`;
+
+// How far before the end of a track notes still held there are closed: a looping
+// Tone.Part never plays an event at its loop end
+export const LOOP_END_MARGIN = 0.001;
@@ -0,0 +1,270 @@
+// loop-midi.js - Converts looper tracks to and from Standard MIDI Files
+// Note indices are resolved against the scale, octave and root each track was recorded with;
+// imported notes outside the scale are snapped to it, or the scale becomes chromatic
+
+import {
+  DEFAULT_PPQ,
+  writeMidiFile,
+  noteOn,
+  noteOff,
+  controlChange,
+  programChange,
+  trackNameEvent,
+  tempoEvent,
+  timeSignatureEvent,
+  readMidiFile
+} from './midi-file.js';
+import { LOOP_END_MARGIN } from './loop-events.js';
+
+// General MIDI programs closest to each instrument
+const GM_PROGRAMS = {
+  synth: 80,     // Lead 1 (square)
+  amSynth: 88,   // Pad 1 (new age)
+  fmSynth: 4,    // Electric piano 1
+  pluck: 24,     // Acoustic guitar (nylon)
+  piano: 0       // Acoustic grand piano
+};
+
+// The effect stream becomes this controller (1 = modulation wheel)
+const EFFECT_CONTROLLER = 1;
+
+export class LoopMidiConverter {
+  constructor(synthEngine) {
+    this.synthEngine = synthEngine;
+    this.ppq = DEFAULT_PPQ;
+    this.effectController = EFFECT_CONTROLLER;
+  }
+
+  /**
+   * Build a Type-1 MIDI file: a tempo track followed by one track per loop track
+   * @param {Object} looperState - State from Looper.serialize()
+   * @returns {Uint8Array} File contents
+   */
+  toMidi(looperState) {
+    const bpm = looperState.bpm || 120;
+    const beatsPerBar = looperState.beatsPerBar || 4;
+
+    const conductor = [
+      { tick: 0, data: trackNameEvent('HeadSynth') },
+      { tick: 0, data: tempoEvent(bpm) },
+      { tick: 0, data: timeSignatureEvent(beatsPerBar, 4) }
+    ];
+
+    const tracks = looperState.tracks.map((track, index) => this._convertTrack(track, index, bpm));
+    const endTick = Math.max(0, ...tracks.map(track => track.endTick));
+    return writeMidiFile({ ppq: this.ppq, tracks: [{ events: conductor, endTick }, ...tracks] });
+  }
+
+  /**
+   * MIDI note number for a recorded note
+   * @param {number} noteIndex - Index in the scale
+   * @param {Object} sound - Sound the track was recorded with ({ scale, octave, root })
+   * @param {number} octave - Octave recorded with the event, if any
+   * @returns {number|null} MIDI note number, or null if the index is outside the scale
+   */
+  resolveNote(noteIndex, sound = {}, octave) {
+    const noteOctave = octave !== undefined ? octave : (sound.octave !== undefined ? sound.octave : this.synthEngine.octave);
+    const noteName = this.synthEngine.getFullNoteName(noteIndex, sound.scale || this.synthEngine.currentScale, noteOctave);
+    if (!noteName) return null;
+
+    // Scales are written from C, so a different root transposes the whole scale
+    const rootOffset = sound.root ? Tone.Frequency(`${sound.root}4`).toMidi() - 60 : 0;
+    return Tone.Frequency(noteName).toMidi() + rootOffset;
+  }
+
+  /**
+   * Read a MIDI file for import
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Object} Parsed file (see readMidiFile)
+   */
+  readMidi(buffer) {
+    return readMidiFile(buffer);
+  }
+
+  /**
+   * Tempo of a parsed MIDI file, from its first tempo event
+   * @param {Object} midi - Parsed file from readMidi()
+   * @returns {number} Beats per minute
+   */
+  getTempo(midi) {
+    return midi.tempos.length > 0 ? midi.tempos[0].bpm : 120;
+  }
+
+  /**
+   * Convert one track of a parsed MIDI file to loop events and a guided-play sequence
+   * @param {Object} midi - Parsed file from readMidi()
+   * @param {number} trackIndex - Index of the track to convert
+   * @param {Object} options - { scale, handling: 'snap' | 'chromatic', bpm }
+   *   bpm is the tempo the events are timed at (defaults to the file's tempo)
+   * @returns {Object} { events, duration, sequence, scale, bpm, report }
+   */
+  fromMidiTrack(midi, trackIndex, { scale = this.synthEngine.currentScale, handling = 'snap', bpm } = {}) {
+    const track = midi.tracks[trackIndex];
+    if (!track || track.notes.length === 0) {
+      throw new Error('The selected MIDI track has no notes');
+    }
+
+    const fileBpm = this.getTempo(midi);
+    const targetBpm = bpm || fileBpm;
+    const secondsPerTick = 60 / targetBpm / midi.ppq;
+
+    // Out-of-scale notes decide the final scale before anything is mapped
+    const outOfScale = track.notes.filter(note => !this._isInScale(note.note, scale)).length;
+    const targetScale = handling === 'chromatic' && outOfScale > 0 ? 'chromatic' : scale;
+
+    const report = {
+      trackName: track.name,
+      noteCount: track.notes.length,
+      outOfScale,
+      handling,
+      originalScale: scale,
+      scale: targetScale,
+      changes: {},               // "C#4 → C4" -> count
+      fileBpm,
+      bpm: targetBpm,
+      tempoChanges: Math.max(0, midi.tempos.length - 1)
+    };
+
+    const events = [];
+    const sequence = [];
+    let lastEndTick = 0;
+
+    [...track.notes].sort((a, b) => a.tick - b.tick || b.note - a.note).forEach(note => {
+      const mapped = this._mapToScale(note.note, targetScale);
+      if (mapped.midi !== note.note) {
+        const change = `${Tone.Frequency(note.note, 'midi').toNote()} → ${Tone.Frequency(mapped.midi, 'midi').toNote()}`;
+        report.changes[change] = (report.changes[change] || 0) + 1;
+      }
+
+      const endTick = note.tick + Math.max(1, note.durationTicks);
+      lastEndTick = Math.max(lastEndTick, endTick);
+
+      events.push({
+        type: 'note',
+        noteIndex: mapped.noteIndex,
+        octave: mapped.octave,
+        velocity: note.velocity,
+        time: note.tick * secondsPerTick
+      });
+      events.push({
+        type: 'noteOff',
+        noteIndex: mapped.noteIndex,
+        octave: mapped.octave,
+        time: endTick * secondsPerTick
+      });
+
+      // Guided play follows the top note of each chord
+      const previous = sequence[sequence.length - 1];
+      if (!previous || previous.tick !== note.tick) {
+        sequence.push({ tick: note.tick, noteIndex: mapped.noteIndex, octave: mapped.octave });
+      }
+    });
+
+    // The loop lasts whole bars
+    const { numerator, denominator } = midi.timeSignature;
+    const ticksPerBar = midi.ppq * numerator * (4 / denominator);
+    const bars = Math.max(1, Math.ceil(lastEndTick / ticksPerBar - 1e-6));
+    const duration = bars * ticksPerBar * secondsPerTick;
+
+    return {
+      // Notes ending on the last bar line stop just before the loop point, where they still play
+      events: events
+        .map(event => (event.time >= duration ? { ...event, time: duration - LOOP_END_MARGIN } : event))
+        .sort((a, b) => a.time - b.time),
+      duration,
+      bars,
+      sequence: sequence.map(({ noteIndex, octave }) => ({ noteIndex, octave })),
+      scale: targetScale,
+      bpm: targetBpm,
+      beatsPerBar: numerator,
+      report
+    };
+  }
+
+  _scalePitchClasses(scaleName) {
+    const scale = this.synthEngine.scales[scaleName] || this.synthEngine.scales.major;
+    return scale.map(name => Tone.Frequency(`${name}4`).toMidi() % 12);
+  }
+
+  _isInScale(midiNote, scaleName) {
+    return this._scalePitchClasses(scaleName).includes(midiNote % 12);
+  }
+
+  /**
+   * Nearest scale degree to a MIDI note (ties go down)
+   * @returns {Object} { noteIndex, octave, midi }
+   */
+  _mapToScale(midiNote, scaleName) {
+    const pitchClasses = this._scalePitchClasses(scaleName);
+    const octave = Math.floor(midiNote / 12) - 1;
+
+    let best = null;
+    [octave - 1, octave, octave + 1].forEach(candidateOctave => {
+      pitchClasses.forEach((pitchClass, noteIndex) => {
+        const candidate = (candidateOctave + 1) * 12 + pitchClass;
+        const distance = Math.abs(candidate - midiNote);
+        if (!best || distance < best.distance || (distance === best.distance && candidate < best.midi)) {
+          best = { noteIndex, octave: candidateOctave, midi: candidate, distance };
+        }
+      });
+    });
+
+    return { noteIndex: best.noteIndex, octave: best.octave, midi: best.midi };
+  }
+
+  _convertTrack(track, index, bpm) {
+    const channel = index % 16 === 9 ? (index + 1) % 16 : index % 16; // Channel 10 is drums
+    const sound = track.sound || {};
+    const toTick = (seconds) => Math.round(seconds * (bpm / 60) * this.ppq);
+    const endTick = toTick(track.duration);
+
+    const events = [
+      { tick: 0, data: trackNameEvent(`Loop ${index + 1} (${sound.instrument || 'synth'})`) },
+      { tick: 0, data: programChange(channel, GM_PROGRAMS[sound.instrument] || 0) }
+    ];
+
+    const soundingNotes = new Set(); // MIDI notes
+    let lastEffect = null;
+
+    const addEffect = (tick, value) => {
+      if (typeof value !== 'number') return;
+      const controllerValue = Math.round(Math.max(0, Math.min(1, value)) * 127);
+      if (controllerValue === lastEffect) return;
+      lastEffect = controllerValue;
+      events.push({ tick, data: controlChange(channel, this.effectController, controllerValue) });
+    };
+
+    const releaseNote = (tick, note) => {
+      if (!soundingNotes.has(note)) return;
+      events.push({ tick, data: noteOff(channel, note) });
+      soundingNotes.delete(note);
+    };
+
+    const sorted = [...track.events].sort((a, b) => a.time - b.time);
+    sorted.forEach(event => {
+      const tick = Math.min(toTick(event.time), endTick);
+
+      if (event.type === 'note') {
+        const note = this.resolveNote(event.noteIndex, sound, event.octave);
+        if (note === null) return;
+
+        // A note struck again while it sounds is closed first
+        releaseNote(tick, note);
+        addEffect(tick, event.effectValue);
+
+        const velocity = Math.max(1, Math.min(127, Math.round((event.velocity || 0.7) * 127)));
+        events.push({ tick, data: noteOn(channel, note, velocity) });
+        soundingNotes.add(note);
+      } else if (event.type === 'noteOff') {
+        releaseNote(tick, this.resolveNote(event.noteIndex, sound, event.octave));
+      } else if (event.type === 'effect') {
+        addEffect(tick, event.effectValue);
+      }
+    });
+
+    // Notes still held at the end of the loop stop at the loop boundary
+    Array.from(soundingNotes).forEach(note => releaseNote(endTick, note));
+
+    return { events, endTick };
+  }
+}
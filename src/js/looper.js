@@ -1,4 +1,18 @@
 // looper.js - Handles recording and playback of loops
+// Timing runs on Tone.Transport (AudioContext time): every track is a looping Tone.Part,
+// so events are scheduled ahead of time and delivered exactly once per cycle
+
+import { ChannelStrip, DEFAULT_MIXER } from './channel-strip.js';
+import { LOOP_END_MARGIN, noteKey } from './loop-events.js';
+
+// Loop lengths shorter than the master cycle a track can snap to; longer takes snap to
+// the nearest whole number of cycles
+const LOOP_LENGTH_DIVISIONS = [0.25, 0.5];
+
+// Tempo range of the master cycle (BPM)
+const MIN_BPM = 40;
+const MAX_BPM = 200;
+
 export class Looper {
   constructor(loopTracksElement) {
     this.tracksContainer = loopTracksElement;
@@ -6,27 +20,138 @@ export class Looper {
     this.maxTracks = 4;
     this.currentTrack = null;
     
-    this._isRecording = false;  // Changed to _isRecording
-    this._isPlaying = false;    // Changed to _isPlaying
-    this.recordStartTime = 0;
-    this.loopDuration = 0;
-    this.playbackStartTime = 0;
-    
-    // Looping interval
-    this.playbackInterval = null;
-    this.updateInterval = null;
+    this._isRecording = false;
+    this._isPlaying = false;
+    this.recordStartTime = 0;   // Transport time (seconds) when recording started
+    this.loopDuration = 0;      // Length (seconds) of the longest track
+    
+    // Playback
+    this.eventCallback = null;
+    this.startDelay = 0.05;     // Seconds between pressing play and the first event
+    this.animationFrameId = null;
+    
+    // Tempo lock: the first track defines a master cycle of whole bars, later tracks
+    // snap to multiples or divisions of it, and recording starts and stops on the bar
+    this.quantizeEnabled = true;
+    this.bpm = 90;
+    this.barCount = 2;                // Bars in the master cycle
+    this.beatsPerBar = 4;             // Time signature numerator (quarter-note beats)
+    this.countInBars = 0;             // Bars counted in before recording captures anything
+    this.masterDuration = 0;          // Length (seconds) of the master cycle, 0 until the first track
+    this.autoStopEventId = null;
+    this.stopTolerance = 0.1;         // Seconds a late stop may overshoot a cycle boundary
+    
+    // Overdub: layering events onto an existing track, aligned to its cycle
+    this.overdubMode = 'merge';       // 'merge' keeps existing events, 'replace' clears the overdubbed range
+    this.overdubTrack = null;
+    this.overdubStartTime = 0;        // Transport time (seconds) when the overdub started
+    this.overdubEvents = [];
+    
+    // Mixing: every track has a Tone.Channel feeding the output, plus post-fader sends
+    this.output = null;
+    this.sendDestinations = {};
     
     // Track counter for IDs
     this.trackCounter = 0;
+    
+    // Callback functions
+    this.onTrackAdded = null;   // (track) - a recorded track joined the loop
+    this.onOverdubToggle = null; // (trackId) - the overdub button of a track was pressed
+    this.onRecordingEnd = null;  // () - the master cycle is complete and recording should stop
+    this.onCountIn = null;       // (start, end) - transport times (seconds) of a count-in
+  }
+  
+  /**
+   * Set where track channels are mixed to
+   * @param {Tone.ToneAudioNode} output - Node the track channels connect to
+   * @param {Object} sendDestinations - Map of send name to effect input (e.g. { reverb, delay })
+   */
+  setOutput(output, sendDestinations = {}) {
+    this.output = output;
+    this.sendDestinations = sendDestinations;
+  }
+  
+  /**
+   * Nearest tempo the looper supports
+   * @param {number} bpm - Beats per minute
+   * @returns {number} The tempo, within the supported range
+   */
+  clampTempo(bpm) {
+    return Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
   }
   
-  startRecording() {
-    if (this._isRecording) return;  // Changed from this.isRecording
+  /**
+   * Set the tempo of the master cycle
+   * Locked once tracks exist, because their events are timed in seconds
+   * @param {number} bpm - Beats per minute
+   * @returns {boolean} Whether the tempo was changed
+   */
+  setTempo(bpm) {
+    if (this._hasTracks()) return false;
+    
+    this.bpm = this.clampTempo(bpm);
+    Tone.Transport.bpm.value = this.bpm;
+    
+    // Restart the transport so its bar grid and clock agree at the new tempo
+    if (Tone.Transport.state === 'started') {
+      Tone.Transport.stop();
+      Tone.Transport.start();
+    }
+    return true;
+  }
+  
+  /**
+   * Set the number of bars in the master cycle
+   * @param {number} bars - Bar count
+   * @returns {boolean} Whether the bar count was changed
+   */
+  setBarCount(bars) {
+    if (this.masterDuration > 0 || this._isRecording) return false;
+    
+    this.barCount = Math.max(1, Math.round(bars));
+    return true;
+  }
+  
+  /**
+   * Set the time signature (beats per bar, in quarter notes)
+   * Locked once tracks exist, because it changes the length of a bar
+   * @param {number} beats - Beats per bar
+   * @returns {boolean} Whether the time signature was changed
+   */
+  setTimeSignature(beats) {
+    if (this._hasTracks()) return false;
+    
+    this.beatsPerBar = Math.max(2, Math.min(12, Math.round(beats)));
+    Tone.Transport.timeSignature = this.beatsPerBar;
+    return true;
+  }
+  
+  /**
+   * Set how many bars are counted in before recording starts
+   * @param {number} bars - Bar count (0 for no count-in)
+   */
+  setCountIn(bars) {
+    this.countInBars = Math.max(0, Math.round(bars));
+  }
+  
+  setQuantizeEnabled(enabled) {
+    this.quantizeEnabled = enabled;
+  }
+  
+  /**
+   * Start recording a new track
+   * With quantization on, recording starts on the next bar line; the first track stops
+   * by itself once the master cycle is full. A count-in delays the start by whole bars
+   * @param {Object} sound - Sound the track is recorded with ({ instrument, preset, scale, octave })
+   * @returns {boolean} Whether recording started
+   */
+  startRecording(sound = null) {
+    if (this._isRecording) return false;
     
     // Check if we've reached the maximum number of tracks
     if (this.tracks.length >= this.maxTracks) {
       console.warn('Maximum number of tracks reached');
-      return;
+      return false;
     }
     
     // Create a new track
@@ -34,44 +159,156 @@ export class Looper {
     this.currentTrack = {
       id: trackId,
       events: [],
-      duration: 0
+      duration: 0,
+      sound
     };
+    this._createTrackChannel(this.currentTrack);
     
-    this.recordStartTime = Date.now();
-    this._isRecording = true;  // Changed from this.isRecording
+    this._ensureTransportStarted();
+    const countInStart = this.quantizeEnabled || this.countInBars > 0
+      ? this._nextBarTime()
+      : Tone.Transport.seconds;
+    this.recordStartTime = countInStart + this.countInBars * Tone.Time('1m').toSeconds();
+    this._isRecording = true;
+    
+    if (this.countInBars > 0 && typeof this.onCountIn === 'function') {
+      this.onCountIn(countInStart, this.recordStartTime);
+    }
+    
+    if (this.quantizeEnabled && this.masterDuration === 0) {
+      this._scheduleAutoStop(this.recordStartTime + this._cycleLength());
+    }
     
     // Create visual track element
     this._createTrackElement(trackId);
     
     console.log('Started recording loop');
+    return true;
   }
   
   stopRecording() {
-    if (!this._isRecording) return;  // Changed from this.isRecording
+    if (!this._isRecording) return;
     
-    const now = Date.now();
-    this.loopDuration = now - this.recordStartTime;
+    const track = this.currentTrack;
+    const stopTime = Tone.Transport.seconds;
+    const elapsed = stopTime - this.recordStartTime;
+    this._cancelAutoStop();
+    this._isRecording = false;
+    this.currentTrack = null;
     
-    // Update the track with final duration
-    this.currentTrack.duration = this.loopDuration;
+    // Stopped before a quantized recording even began
+    if (elapsed <= 0) {
+      this._disposeTrackAudio(track);
+      this._removeTrackElement(track.id);
+      console.log('Recording cancelled before it started');
+      return;
+    }
+    
+    // Update the track with final duration, snapped to the master cycle when quantizing
+    if (!this.quantizeEnabled) {
+      track.duration = elapsed;
+    } else if (this.masterDuration === 0) {
+      this.masterDuration = this._cycleLength();
+      track.duration = this.masterDuration;
+    } else {
+      track.duration = this._snapLength(elapsed);
+    }
+    
+    // Events from the count-in before the bar line, or past the snapped end, are dropped;
+    // notes still held at the end are closed there
+    track.events = this._trimEvents(track.events, track.duration);
+    this.loopDuration = Math.max(this.loopDuration, track.duration);
     
     // Add the track to our collection
-    this.tracks.push(this.currentTrack);
+    this.tracks.push(track);
+    if (typeof this.onTrackAdded === 'function') {
+      this.onTrackAdded(track);
+    }
     
     // Update the visual representation
-    this._updateTrackVisualization(this.currentTrack);
+    this._updateTrackVisualization(track);
     
-    this._isRecording = false;  // Changed from this.isRecording
-    this.currentTrack = null;
+    // Join the running playback at the first cycle boundary after the recording ended
+    if (this._isPlaying) {
+      const cycles = Math.max(1, Math.ceil((elapsed - this.stopTolerance) / track.duration));
+      this._startTrackPart(track, this.recordStartTime + cycles * track.duration);
+    }
+    
+    console.log(`Stopped recording loop, duration: ${track.duration.toFixed(3)}s`);
+  }
+  
+  /**
+   * Set how an overdub is combined with the track
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  setOverdubMode(mode) {
+    if (mode === 'merge' || mode === 'replace') {
+      this.overdubMode = mode;
+    }
+  }
+  
+  /**
+   * Start layering new events onto a playing track
+   * @param {string} trackId - Track to overdub
+   * @returns {boolean} Whether the overdub started
+   */
+  startOverdub(trackId) {
+    if (this._isRecording || this.overdubTrack) return false;
+    
+    const track = this.tracks.find(t => t.id === trackId);
+    if (!track || !track.part || !this._isPlaying) return false;
+    
+    this.overdubTrack = track;
+    this.overdubStartTime = Tone.Transport.seconds;
+    this.overdubEvents = [];
+    this._updateOverdubVisuals();
+    
+    console.log(`Started overdub on ${trackId} (${this.overdubMode})`);
+    return true;
+  }
+  
+  stopOverdub() {
+    const track = this.overdubTrack;
+    if (!track) return;
+    
+    const elapsed = Tone.Transport.seconds - this.overdubStartTime;
+    if (this.overdubMode === 'replace') {
+      this._clearTrackRange(track, this._cyclePosition(track, this.overdubStartTime), elapsed);
+    }
+    
+    track.events = track.events
+      .concat(this.overdubEvents)
+      .sort((a, b) => a.time - b.time);
     
-    console.log(`Stopped recording loop, duration: ${this.loopDuration}ms`);
+    this.overdubTrack = null;
+    this.overdubEvents = [];
+    
+    // Swap the new events into the running part without restarting the cycle
+    this._refreshTrackPart(track);
+    this._updateTrackVisualization(track);
+    this._updateOverdubVisuals();
+    
+    console.log(`Stopped overdub on ${track.id}, ${track.events.length} events`);
+  }
+  
+  isOverdubbing() {
+    return this.overdubTrack !== null;
   }
   
   recordEvent(event) {
-    if (!this._isRecording || !this.currentTrack) return;  // Changed from this.isRecording
+    if (this.overdubTrack) {
+      // Overdubbed events land at the track's current position in its cycle
+      this.overdubEvents.push({
+        ...event,
+        time: this._cyclePosition(this.overdubTrack, Tone.Transport.seconds)
+      });
+      return;
+    }
+    
+    if (!this._isRecording || !this.currentTrack) return;
     
-    // Calculate relative timestamp
-    const relativeTime = Date.now() - this.recordStartTime;
+    // Calculate relative timestamp (seconds) on the transport clock
+    const relativeTime = Tone.Transport.seconds - this.recordStartTime;
     
     // Add the event to the current track
     this.currentTrack.events.push({
@@ -80,44 +317,47 @@ export class Looper {
     });
   }
   
+  /**
+   * Start looping all tracks
+   * @param {Function} eventCallback - Called as (event, time, track) for every event,
+   *   where time is the audio context time the event should sound at
+   */
   play(eventCallback) {
-    if (this._isPlaying || this.tracks.length === 0) return;  // Changed from this.isPlaying
+    if (this._isPlaying || this.tracks.length === 0) return;
     
-    this._isPlaying = true;  // Changed from this.isPlaying
-    this.playbackStartTime = Date.now();
+    this._isPlaying = true;
+    this.eventCallback = eventCallback;
     
-    // Start the playback loop
-    this.playbackInterval = setInterval(() => {
-      const elapsedTime = (Date.now() - this.playbackStartTime) % this.loopDuration;
-      
-      // Go through all tracks and check for events that should be triggered
-      this.tracks.forEach(track => {
-        track.events.forEach(event => {
-          // If an event should happen at this time (with a small tolerance)
-          if (Math.abs(event.time - elapsedTime) < 20) {
-            // Callback to actually perform the action
-            if (typeof eventCallback === 'function') {
-              eventCallback(event);
-            }
-          }
-        });
-      });
-    }, 10); // Check for events every 10ms
+    // Schedule every track slightly ahead so the first events are not late
+    this._ensureTransportStarted();
+    const startTime = this.quantizeEnabled
+      ? this._nextBarTime(Tone.Transport.seconds + this.startDelay)
+      : Tone.Transport.seconds + this.startDelay;
+    this.tracks.forEach(track => this._startTrackPart(track, startTime));
     
-    // Update track visuals
-    this.updateInterval = setInterval(() => {
-      this._updatePlaybackPosition();
-    }, 30); // Update visualization less frequently for better performance
+    // Update track visuals from the transport clock
+    this._startPlaybackAnimation();
     
     console.log('Started loop playback');
   }
   
   stop() {
-    if (!this._isPlaying) return;  // Changed from this.isPlaying
+    if (!this._isPlaying) return;
+    
+    // An overdub can only run while its track plays
+    this.stopOverdub();
     
-    clearInterval(this.playbackInterval);
-    clearInterval(this.updateInterval);
-    this._isPlaying = false;  // Changed from this.isPlaying
+    this.tracks.forEach(track => {
+      this._stopTrackPart(track);
+      
+      // Loop notes that were still held when playback stopped must not hang
+      if (track.voice) {
+        track.voice.releaseAll();
+      }
+    });
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+    this._isPlaying = false;
     
     // Reset progress indicators
     this._resetPlaybackVisuals();
@@ -129,8 +369,16 @@ export class Looper {
     this.stop();
     
     // Clear all tracks
+    this.tracks.forEach(track => this._disposeTrackAudio(track));
+    if (this.currentTrack) {
+      this._disposeTrackAudio(this.currentTrack);
+    }
+    this._cancelAutoStop();
+    this._isRecording = false;
     this.tracks = [];
     this.currentTrack = null;
+    this.loopDuration = 0;
+    this.masterDuration = 0;
     this.tracksContainer.innerHTML = '';
     
     console.log('Cleared all loops');
@@ -140,6 +388,161 @@ export class Looper {
     return this.tracks.length;
   }
   
+  /**
+   * Plain data describing the tracks and loop settings, for saving a session
+   * @returns {Object} Serializable looper state
+   */
+  serialize() {
+    return {
+      loopDuration: this.loopDuration,
+      masterDuration: this.masterDuration,
+      bpm: this.bpm,
+      beatsPerBar: this.beatsPerBar,
+      barCount: this.barCount,
+      quantizeEnabled: this.quantizeEnabled,
+      tracks: this.tracks.map(track => ({
+        duration: track.duration,
+        events: track.events.map(event => ({ ...event })),
+        sound: track.sound,
+        mixer: { ...track.mixer, sends: { ...track.mixer.sends } }
+      }))
+    };
+  }
+  
+  /**
+   * Replace all tracks with saved ones
+   * @param {Object} data - State from serialize()
+   */
+  restore(data) {
+    this.clear();
+    
+    this.setTempo(data.bpm || this.bpm);
+    this.setTimeSignature(data.beatsPerBar || this.beatsPerBar);
+    this.setBarCount(data.barCount || this.barCount);
+    this.setQuantizeEnabled(data.quantizeEnabled !== false);
+    this.masterDuration = data.masterDuration || 0;
+    
+    data.tracks.forEach(savedTrack => this.addTrack(savedTrack));
+    
+    if (data.loopDuration) {
+      this.loopDuration = data.loopDuration;
+    }
+    
+    console.log(`Restored ${this.tracks.length} loop tracks`);
+  }
+  
+  /**
+   * Add a track that was not recorded live (restored or imported)
+   * @param {Object} trackData - { events, duration, sound, mixer }
+   * @param {Object} options - { fitToCycle: stretch the length to whole master cycles }
+   * @returns {Object|null} The new track, or null if all track slots are used
+   */
+  addTrack(trackData, { fitToCycle = false } = {}) {
+    if (this.tracks.length >= this.maxTracks) {
+      console.warn('Maximum number of tracks reached');
+      return null;
+    }
+    
+    let duration = trackData.duration;
+    if (this.quantizeEnabled && this.masterDuration === 0) {
+      this.masterDuration = duration;
+    } else if (fitToCycle && this.quantizeEnabled) {
+      duration = Math.max(1, Math.ceil(duration / this.masterDuration - 1e-6)) * this.masterDuration;
+    }
+    
+    const track = {
+      id: `track-${this.trackCounter++}`,
+      events: trackData.events.map(event => ({ ...event })),
+      duration,
+      sound: trackData.sound || null,
+      mixer: trackData.mixer
+    };
+    this._createTrackChannel(track);
+    this.tracks.push(track);
+    this.loopDuration = Math.max(this.loopDuration, track.duration);
+    
+    // Build the track's DOM the same way a recording does
+    this._createTrackElement(track.id);
+    this._updateTrackVisualization(track);
+    
+    if (typeof this.onTrackAdded === 'function') {
+      this.onTrackAdded(track);
+    }
+    
+    // Join running playback on the next bar
+    if (this._isPlaying) {
+      this._startTrackPart(track, this._nextBarTime(Tone.Transport.seconds + this.startDelay));
+    }
+    
+    return track;
+  }
+  
+  /**
+   * Set a track's volume
+   * @param {string} trackId - Track ID
+   * @param {number} volume - Gain (0-1)
+   */
+  setTrackVolume(trackId, volume) {
+    const track = this._findTrack(trackId);
+    if (!track) return;
+    
+    track.strip.setVolume(volume);
+  }
+  
+  /**
+   * Set a track's stereo position
+   * @param {string} trackId - Track ID
+   * @param {number} pan - -1 (left) to 1 (right)
+   */
+  setTrackPan(trackId, pan) {
+    const track = this._findTrack(trackId);
+    if (!track) return;
+    
+    track.strip.setPan(pan);
+  }
+  
+  /**
+   * Set how much of a track is sent to a shared effect
+   * @param {string} trackId - Track ID
+   * @param {string} sendName - Send name ('reverb' or 'delay')
+   * @param {number} level - Send level (0-1)
+   */
+  setTrackSend(trackId, sendName, level) {
+    const track = this._findTrack(trackId);
+    if (!track) return;
+    
+    track.strip.setSend(sendName, level);
+  }
+  
+  /**
+   * Apply a recorded effect value to a track's sends
+   * @param {string} trackId - Track ID
+   * @param {number} value - Effect value (0-1)
+   * @param {number} time - Audio context time of the change (defaults to now)
+   */
+  setTrackEffectValue(trackId, value, time) {
+    const track = this._findTrack(trackId);
+    if (!track) return;
+    
+    track.strip.setEffectValue(value, time);
+  }
+  
+  setTrackMute(trackId, muted) {
+    const track = this._findTrack(trackId);
+    if (!track) return;
+    
+    track.strip.setMute(muted);
+    this._updateTrackMixerVisuals(track);
+  }
+  
+  setTrackSolo(trackId, soloed) {
+    const track = this._findTrack(trackId);
+    if (!track) return;
+    
+    track.strip.setSolo(soloed);
+    this._updateTrackMixerVisuals(track);
+  }
+  
   // Fixed getter methods
   isRecording() {
     return this._isRecording;
@@ -154,7 +557,9 @@ export class Looper {
     trackElement.className = 'loop-track';
     trackElement.id = trackId;
     
-    // Track controls (mute, delete)
+    const track = this._findTrack(trackId);
+    
+    // Track controls (mute, solo, delete)
     const controlsElement = document.createElement('div');
     controlsElement.className = 'loop-track-controls';
     
@@ -164,6 +569,27 @@ export class Looper {
     muteButton.textContent = 'השתק';
     muteButton.addEventListener('click', () => this._toggleTrackMute(trackId));
     
+    // Overdub button
+    const overdubButton = document.createElement('button');
+    overdubButton.className = 'btn btn-small loop-track-overdub';
+    overdubButton.textContent = 'הקלטה נוספת';
+    overdubButton.addEventListener('click', () => {
+      if (typeof this.onOverdubToggle === 'function') {
+        this.onOverdubToggle(trackId);
+      }
+    });
+    
+    // Solo button
+    const soloButton = document.createElement('button');
+    soloButton.className = 'btn btn-small loop-track-solo';
+    soloButton.textContent = 'סולו';
+    soloButton.addEventListener('click', () => {
+      const current = this._findTrack(trackId);
+      if (current) {
+        this.setTrackSolo(trackId, !current.mixer.solo);
+      }
+    });
+    
     // Delete button
     const deleteButton = document.createElement('button');
     deleteButton.className = 'btn btn-small';
@@ -171,8 +597,23 @@ export class Looper {
     deleteButton.addEventListener('click', () => this._deleteTrack(trackId));
     
     controlsElement.appendChild(muteButton);
+    controlsElement.appendChild(soloButton);
+    controlsElement.appendChild(overdubButton);
     controlsElement.appendChild(deleteButton);
     
+    // Channel strip
+    const mixerElement = document.createElement('div');
+    mixerElement.className = 'loop-track-mixer';
+    const mixer = track ? track.mixer : DEFAULT_MIXER;
+    mixerElement.appendChild(this._createMixerSlider('עוצמה', 0, 1, mixer.volume,
+      value => this.setTrackVolume(trackId, value)));
+    mixerElement.appendChild(this._createMixerSlider('פאן', -1, 1, mixer.pan,
+      value => this.setTrackPan(trackId, value)));
+    mixerElement.appendChild(this._createMixerSlider('הדהוד', 0, 1, mixer.sends.reverb,
+      value => this.setTrackSend(trackId, 'reverb', value)));
+    mixerElement.appendChild(this._createMixerSlider('דיליי', 0, 1, mixer.sends.delay,
+      value => this.setTrackSend(trackId, 'delay', value)));
+    
     // Timeline
     const timelineElement = document.createElement('div');
     timelineElement.className = 'loop-track-timeline';
@@ -191,9 +632,35 @@ export class Looper {
     // Assemble track
     trackElement.appendChild(controlsElement);
     trackElement.appendChild(timelineElement);
+    trackElement.appendChild(mixerElement);
     
     // Add to tracks container
     this.tracksContainer.appendChild(trackElement);
+    
+    if (track) {
+      this._updateTrackMixerVisuals(track);
+    }
+  }
+  
+  _createMixerSlider(label, min, max, value, onChange) {
+    const labelElement = document.createElement('label');
+    labelElement.className = 'loop-track-mixer-control';
+    
+    const textElement = document.createElement('span');
+    textElement.textContent = label;
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'slider';
+    slider.min = min;
+    slider.max = max;
+    slider.step = 0.01;
+    slider.value = value;
+    slider.addEventListener('input', () => onChange(parseFloat(slider.value)));
+    
+    labelElement.appendChild(textElement);
+    labelElement.appendChild(slider);
+    return labelElement;
   }
   
   _updateTrackVisualization(track) {
@@ -232,19 +699,186 @@ export class Looper {
     });
   }
   
+  _startTrackPart(track, startTime) {
+    this._stopTrackPart(track);
+    if (track.duration <= 0) return;
+    
+    // One looping part per track: Tone schedules each event once per cycle with lookahead
+    track.part = new Tone.Part((time, event) => {
+      if (typeof this.eventCallback === 'function') {
+        this.eventCallback(event, time, track);
+      }
+    }, track.events.map(event => [event.time, event]));
+    
+    track.part.loop = true;
+    track.part.loopStart = 0;
+    track.part.loopEnd = track.duration;
+    track.part.start(startTime);
+    track.startTime = startTime;
+  }
+  
+  _hasTracks() {
+    return this.tracks.length > 0 || this.currentTrack !== null;
+  }
+  
+  _cycleLength() {
+    return this.barCount * Tone.Time('1m').toSeconds();
+  }
+  
+  /**
+   * Transport time (seconds) of the first bar line at or after a time
+   * @param {number} time - Transport time in seconds (defaults to now)
+   */
+  _nextBarTime(time = Tone.Transport.seconds) {
+    const barLength = Tone.Time('1m').toSeconds();
+    return Math.ceil(time / barLength - 1e-6) * barLength;
+  }
+  
+  _snapLength(length) {
+    // Nearest whole multiple or division of the master cycle
+    const multiple = Math.max(1, Math.round(length / this.masterDuration));
+    const candidates = [...LOOP_LENGTH_DIVISIONS, multiple].map(ratio => ratio * this.masterDuration);
+    return candidates.reduce((best, candidate) =>
+      (Math.abs(candidate - length) < Math.abs(best - length) ? candidate : best));
+  }
+  
+  /**
+   * Keep the events of a recording that fall within the track's length
+   * A note still sounding at the end gets its noteOff just before the loop point, so it
+   * does not hang when the track plays
+   * @param {Array} events - Recorded events, timed from the start of the recording
+   * @param {number} duration - Track length (seconds)
+   * @returns {Array} The kept events
+   */
+  _trimEvents(events, duration) {
+    const kept = events.filter(event => event.time >= 0 && event.time < duration);
+    
+    const sounding = new Map();
+    kept.forEach(event => {
+      if (event.type === 'note') {
+        sounding.set(noteKey(event), event);
+      } else if (event.type === 'noteOff') {
+        sounding.delete(noteKey(event));
+      }
+    });
+    sounding.forEach(({ noteIndex, octave }) => {
+      kept.push({ type: 'noteOff', noteIndex, octave, time: duration - LOOP_END_MARGIN });
+    });
+    return kept;
+  }
+  
+  _scheduleAutoStop(time) {
+    this._cancelAutoStop();
+    this.autoStopEventId = Tone.Transport.scheduleOnce((audioTime) => {
+      this.autoStopEventId = null;
+      Tone.Draw.schedule(() => {
+        if (this._isRecording && typeof this.onRecordingEnd === 'function') {
+          this.onRecordingEnd();
+        }
+      }, audioTime);
+    }, time);
+  }
+  
+  _cancelAutoStop() {
+    if (this.autoStopEventId !== null) {
+      Tone.Transport.clear(this.autoStopEventId);
+      this.autoStopEventId = null;
+    }
+  }
+  
+  _refreshTrackPart(track) {
+    if (!track.part) return;
+    
+    track.part.clear();
+    track.events.forEach(event => track.part.add(event.time, event));
+  }
+  
+  _cyclePosition(track, transportTime) {
+    const elapsed = transportTime - track.startTime;
+    return ((elapsed % track.duration) + track.duration) % track.duration;
+  }
+  
+  /**
+   * Remove a track's events in a range of its cycle (the range may wrap around)
+   * Notes that were sounding when the range starts are closed at its start
+   * @param {Object} track - Track to edit
+   * @param {number} start - Start position in the cycle (seconds)
+   * @param {number} length - Length of the range (seconds)
+   */
+  _clearTrackRange(track, start, length) {
+    if (length >= track.duration) {
+      track.events = [];
+      return;
+    }
+    
+    const end = (start + length) % track.duration;
+    const inRange = (time) => (start <= end ? time >= start && time < end : time >= start || time < end);
+    
+    // Notes still held at the start of the range
+    const sounding = new Map();
+    track.events.forEach(event => {
+      if (event.time >= start) return;
+      if (event.type === 'note') {
+        sounding.set(noteKey(event), event);
+      } else if (event.type === 'noteOff') {
+        sounding.delete(noteKey(event));
+      }
+    });
+    
+    track.events = track.events.filter(event => !inRange(event.time));
+    sounding.forEach(({ noteIndex, octave }) => {
+      track.events.push({ type: 'noteOff', noteIndex, octave, time: start });
+    });
+  }
+  
+  _updateOverdubVisuals() {
+    this.tracks.forEach(track => {
+      const trackElement = document.getElementById(track.id);
+      if (!trackElement) return;
+      
+      const overdubbing = this.overdubTrack === track;
+      trackElement.classList.toggle('overdubbing', overdubbing);
+      trackElement.querySelector('.loop-track-overdub').classList.toggle('active', overdubbing);
+    });
+  }
+  
+  _stopTrackPart(track) {
+    if (track.part) {
+      track.part.stop();
+      track.part.dispose();
+      track.part = null;
+    }
+  }
+  
+  _ensureTransportStarted() {
+    if (Tone.Transport.state !== 'started') {
+      Tone.Transport.start();
+    }
+  }
+  
+  _startPlaybackAnimation() {
+    const animate = () => {
+      this._updatePlaybackPosition();
+      this.animationFrameId = requestAnimationFrame(animate);
+    };
+    this.animationFrameId = requestAnimationFrame(animate);
+  }
+  
   _updatePlaybackPosition() {
-    if (!this._isPlaying) return;  // Changed from this.isPlaying
+    if (!this._isPlaying) return;
     
-    const elapsedTime = (Date.now() - this.playbackStartTime) % this.loopDuration;
-    const positionPercent = (elapsedTime / this.loopDuration) * 100;
+    // Transport position of what is audible right now (without the scheduling lookahead)
+    const transportTime = Tone.Transport.getSecondsAtTime(Tone.immediate());
     
-    // Update progress indicators for all tracks
+    // Update progress indicators for all tracks, each on its own cycle
     this.tracks.forEach(track => {
       const trackElement = document.getElementById(track.id);
-      if (trackElement) {
-        const progressElement = trackElement.querySelector('.loop-track-progress');
-        progressElement.style.width = `${positionPercent}%`;
-      }
+      if (!trackElement || !track.part) return;
+      
+      const elapsedTime = transportTime - track.startTime;
+      const positionPercent = elapsedTime < 0 ? 0 : ((elapsedTime % track.duration) / track.duration) * 100;
+      const progressElement = trackElement.querySelector('.loop-track-progress');
+      progressElement.style.width = `${positionPercent}%`;
     });
   }
   
@@ -257,23 +891,54 @@ export class Looper {
   }
   
   _toggleTrackMute(trackId) {
-    const trackIndex = this.tracks.findIndex(t => t.id === trackId);
-    if (trackIndex === -1) return;
+    const track = this._findTrack(trackId);
+    if (!track) return;
     
-    const track = this.tracks[trackIndex];
-    track.muted = !track.muted;
+    this.setTrackMute(trackId, !track.mixer.mute);
+  }
+  
+  _updateTrackMixerVisuals(track) {
+    const trackElement = document.getElementById(track.id);
+    if (!trackElement) return;
     
-    // Update visual state
-    const trackElement = document.getElementById(trackId);
-    if (trackElement) {
-      const muteButton = trackElement.querySelector('.loop-track-controls button:first-child');
-      if (track.muted) {
-        muteButton.textContent = 'בטל השתקה';
-        trackElement.classList.add('muted');
-      } else {
-        muteButton.textContent = 'השתק';
-        trackElement.classList.remove('muted');
-      }
+    const muteButton = trackElement.querySelector('.loop-track-controls button:first-child');
+    if (track.mixer.mute) {
+      muteButton.textContent = 'בטל השתקה';
+      trackElement.classList.add('muted');
+    } else {
+      muteButton.textContent = 'השתק';
+      trackElement.classList.remove('muted');
+    }
+    
+    const soloButton = trackElement.querySelector('.loop-track-solo');
+    soloButton.classList.toggle('active', track.mixer.solo);
+  }
+  
+  _findTrack(trackId) {
+    if (this.currentTrack && this.currentTrack.id === trackId) {
+      return this.currentTrack;
+    }
+    return this.tracks.find(t => t.id === trackId) || null;
+  }
+  
+  _createTrackChannel(track) {
+    // Restored tracks keep their mixer settings; the strip shares its mixer object with the track
+    track.strip = new ChannelStrip(track.mixer, this.output, this.sendDestinations);
+    track.mixer = track.strip.mixer;
+    track.channel = track.strip.channel;
+  }
+  
+  _disposeTrackAudio(track) {
+    this._stopTrackPart(track);
+    
+    if (track.voice) {
+      track.voice.dispose();
+      track.voice = null;
+    }
+    if (track.strip) {
+      track.strip.dispose();
+      track.strip = null;
+      track.channel = null;
     }
   }
   
@@ -281,10 +946,25 @@ export class Looper {
     const trackIndex = this.tracks.findIndex(t => t.id === trackId);
     if (trackIndex === -1) return;
     
-    // Remove from array
+    if (this.overdubTrack === this.tracks[trackIndex]) {
+      this.overdubTrack = null;
+      this.overdubEvents = [];
+    }
+    
+    // Stop its playback, release its channel strip and remove from array
+    this._disposeTrackAudio(this.tracks[trackIndex]);
     this.tracks.splice(trackIndex, 1);
     
-    // Remove from DOM
+    // Without tracks the next recording defines a new master cycle
+    if (!this._hasTracks()) {
+      this.masterDuration = 0;
+      this.loopDuration = 0;
+    }
+    
+    this._removeTrackElement(trackId);
+  }
+  
+  _removeTrackElement(trackId) {
     const trackElement = document.getElementById(trackId);
     if (trackElement) {
       this.tracksContainer.removeChild(trackElement);
@@ -0,0 +1,113 @@
+// metronome.js - Transport-driven click and beat clock
+// The click plays on its own quiet output, and every beat is also reported for visual display,
+// so players who cannot hear the click well can still follow the count
+
+export class Metronome {
+  constructor() {
+    this.enabled = false;
+    this.volume = -14;           // dB, quieter than the instruments
+    this.accentNote = 'C6';
+    this.beatNote = 'G5';
+
+    // Transport window (seconds) in which the click sounds even when it is switched off
+    this.countInStart = 0;
+    this.countInEnd = 0;
+
+    this.output = null;
+    this.click = null;
+    this.repeatEventId = null;
+
+    // Callback functions
+    this.onBeat = null;          // ({ beat, beatsPerBar, countIn, beatsLeft })
+  }
+
+  /**
+   * Create the click and start following the transport
+   * @param {Tone.ToneAudioNode} destination - Node the click plays into
+   */
+  init(destination) {
+    // A plain volume node rather than a Tone.Channel, so soloing a loop track never silences the click
+    this.output = new Tone.Volume(this.volume).connect(destination);
+    this.click = new Tone.MembraneSynth({
+      pitchDecay: 0.008,
+      octaves: 2,
+      envelope: { attack: 0.001, decay: 0.1, sustain: 0, release: 0.05 }
+    }).connect(this.output);
+
+    this.repeatEventId = Tone.Transport.scheduleRepeat((time) => this._tick(time), '4n', 0);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+
+    // The click follows the transport, so it has to be running to be heard
+    if (enabled && Tone.Transport.state !== 'started') {
+      Tone.Transport.start();
+    }
+  }
+
+  /**
+   * Set the click level
+   * @param {number} volume - Gain (0-1)
+   */
+  setVolume(volume) {
+    this.volume = volume === 0 ? -Infinity : Tone.gainToDb(volume);
+    if (this.output) {
+      this.output.volume.value = this.volume;
+    }
+  }
+
+  /**
+   * Click between two transport times regardless of the on/off switch
+   * @param {number} start - Transport time (seconds) the count-in starts
+   * @param {number} end - Transport time (seconds) recording starts
+   */
+  countIn(start, end) {
+    this.countInStart = start;
+    this.countInEnd = end;
+  }
+
+  cancelCountIn() {
+    this.countInStart = 0;
+    this.countInEnd = 0;
+  }
+
+  dispose() {
+    if (this.repeatEventId !== null) {
+      Tone.Transport.clear(this.repeatEventId);
+      this.repeatEventId = null;
+    }
+    if (this.click) {
+      this.click.dispose();
+      this.output.dispose();
+      this.click = null;
+      this.output = null;
+    }
+  }
+
+  _tick(time) {
+    const beatsPerBar = this._beatsPerBar();
+    const ticks = Tone.Transport.getTicksAtTime(time);
+    const beat = Math.round(ticks / Tone.Transport.PPQ) % beatsPerBar;
+
+    // Small tolerance so the beat that lands exactly on the recording start is not counted in
+    const transportTime = Tone.Transport.getSecondsAtTime(time);
+    const countIn = transportTime >= this.countInStart - 0.001 && transportTime < this.countInEnd - 0.001;
+    const beatsLeft = countIn ? Math.round((this.countInEnd - transportTime) / Tone.Time('4n').toSeconds()) : 0;
+
+    if (this.enabled || countIn) {
+      this.click.triggerAttackRelease(beat === 0 ? this.accentNote : this.beatNote, 0.05, time);
+    }
+
+    if (typeof this.onBeat === 'function') {
+      Tone.Draw.schedule(() => {
+        this.onBeat({ beat, beatsPerBar, countIn, beatsLeft });
+      }, time);
+    }
+  }
+
+  _beatsPerBar() {
+    const timeSignature = Tone.Transport.timeSignature;
+    return Array.isArray(timeSignature) ? timeSignature[0] : timeSignature;
+  }
+}
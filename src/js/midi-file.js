@@ -0,0 +1,301 @@
+// midi-file.js - Standard MIDI File (SMF) encoding
+// A track is { events, endTick }: events are { tick, data } with absolute tick times, data is
+// the raw event bytes (channel message or meta event) without the delta time
+
+export const DEFAULT_PPQ = 480;
+
+/**
+ * Encode a Type-1 Standard MIDI File
+ * @param {Object} midi - { ppq, tracks: [{ events: [{ tick, data }], endTick }] }
+ * @returns {Uint8Array} File contents
+ */
+export function writeMidiFile({ ppq = DEFAULT_PPQ, tracks }) {
+  const chunks = [
+    chunk('MThd', [
+      ...uint16(1),              // Format 1: simultaneous tracks
+      ...uint16(tracks.length),
+      ...uint16(ppq)
+    ])
+  ];
+
+  tracks.forEach(({ events, endTick = 0 }) => {
+    const bytes = [];
+    let lastTick = 0;
+
+    // Stable sort, so events at the same tick keep the order they were added in
+    const sorted = events
+      .map((event, index) => ({ ...event, index }))
+      .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+    sorted.forEach(event => {
+      const tick = Math.max(lastTick, Math.round(event.tick));
+      bytes.push(...variableLength(tick - lastTick), ...event.data);
+      lastTick = tick;
+    });
+
+    // Every track ends with an End of Track meta event, which can mark the end of a loop
+    bytes.push(...variableLength(Math.max(0, Math.round(endTick) - lastTick)), 0xFF, 0x2F, 0x00);
+    chunks.push(chunk('MTrk', bytes));
+  });
+
+  const length = chunks.reduce((sum, part) => sum + part.length, 0);
+  const file = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(part => {
+    file.set(part, offset);
+    offset += part.length;
+  });
+  return file;
+}
+
+// Event builders
+
+export function noteOn(channel, note, velocity) {
+  return [0x90 | channel, note & 0x7F, velocity & 0x7F];
+}
+
+export function noteOff(channel, note) {
+  return [0x80 | channel, note & 0x7F, 0];
+}
+
+export function controlChange(channel, controller, value) {
+  return [0xB0 | channel, controller & 0x7F, value & 0x7F];
+}
+
+export function programChange(channel, program) {
+  return [0xC0 | channel, program & 0x7F];
+}
+
+export function trackNameEvent(name) {
+  return metaEvent(0x03, Array.from(new TextEncoder().encode(name)));
+}
+
+/**
+ * Tempo meta event
+ * @param {number} bpm - Quarter notes per minute
+ */
+export function tempoEvent(bpm) {
+  const microseconds = Math.round(60000000 / bpm);
+  return metaEvent(0x51, [(microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF]);
+}
+
+/**
+ * Time signature meta event
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (4 for quarter notes)
+ */
+export function timeSignatureEvent(numerator, denominator = 4) {
+  return metaEvent(0x58, [numerator, Math.round(Math.log2(denominator)), 24, 8]);
+}
+
+function metaEvent(type, data) {
+  return [0xFF, type, ...variableLength(data.length), ...data];
+}
+
+function chunk(type, data) {
+  const bytes = new Uint8Array(8 + data.length);
+  for (let i = 0; i < 4; i++) {
+    bytes[i] = type.charCodeAt(i);
+  }
+  bytes.set(uint32(data.length), 4);
+  bytes.set(data, 8);
+  return bytes;
+}
+
+function variableLength(value) {
+  // 7 bits per byte, most significant first, high bit set on all but the last byte
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+function uint16(value) {
+  return [(value >> 8) & 0xFF, value & 0xFF];
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Decode a Standard MIDI File (format 0 or 1)
+ * Format 0 files are split into one track per channel
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {Object} { format, ppq, tempos: [{ tick, bpm }], timeSignature: { numerator, denominator },
+ *   tracks: [{ name, channel, notes: [{ tick, durationTicks, note, velocity }] }] }
+ */
+export function readMidiFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const reader = new ByteReader(bytes);
+
+  if (reader.readString(4) !== 'MThd') {
+    throw new Error('Not a MIDI file');
+  }
+  const headerLength = reader.readUint32();
+  const format = reader.readUint16();
+  const trackCount = reader.readUint16();
+  const division = reader.readUint16();
+  reader.position = 8 + headerLength;
+
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported');
+  }
+
+  const result = {
+    format,
+    ppq: division,
+    tempos: [],
+    timeSignature: { numerator: 4, denominator: 4 },
+    tracks: []
+  };
+
+  for (let i = 0; i < trackCount && reader.position < bytes.length; i++) {
+    const type = reader.readString(4);
+    const length = reader.readUint32();
+    const end = reader.position + length;
+
+    if (type === 'MTrk') {
+      const tracks = readTrack(reader, end, result);
+      result.tracks.push(...(format === 0 ? tracks : [mergeChannels(tracks)]));
+    }
+    reader.position = end;
+  }
+
+  result.tempos.sort((a, b) => a.tick - b.tick);
+  return result;
+}
+
+function readTrack(reader, end, result) {
+  const channels = new Map();  // Channel -> track
+  const openNotes = new Map(); // "channel:note" -> note object
+  let name = '';
+  let tick = 0;
+  let runningStatus = null;
+
+  const trackFor = (channel) => {
+    if (!channels.has(channel)) {
+      channels.set(channel, { name: '', channel, notes: [] });
+    }
+    return channels.get(channel);
+  };
+
+  const closeNote = (channel, note) => {
+    const key = `${channel}:${note}`;
+    const open = openNotes.get(key);
+    if (open) {
+      open.durationTicks = tick - open.tick;
+      openNotes.delete(key);
+    }
+  };
+
+  while (reader.position < end) {
+    tick += reader.readVariableLength();
+
+    let status = reader.readUint8();
+    if (status < 0x80) {
+      // Running status: this byte is already the first data byte
+      if (runningStatus === null) throw new Error('Corrupt MIDI track');
+      status = runningStatus;
+      reader.position--;
+    }
+
+    if (status === 0xFF) {
+      const type = reader.readUint8();
+      const length = reader.readVariableLength();
+      const data = reader.readBytes(length);
+
+      if (type === 0x03) {
+        name = new TextDecoder().decode(data);
+      } else if (type === 0x51 && length === 3) {
+        const microseconds = (data[0] << 16) | (data[1] << 8) | data[2];
+        result.tempos.push({ tick, bpm: 60000000 / microseconds });
+      } else if (type === 0x58 && length >= 2) {
+        result.timeSignature = { numerator: data[0], denominator: Math.pow(2, data[1]) };
+      } else if (type === 0x2F) {
+        break;
+      }
+      continue;
+    }
+
+    if (status === 0xF0 || status === 0xF7) {
+      reader.position += reader.readVariableLength();
+      continue;
+    }
+
+    runningStatus = status;
+    const command = status & 0xF0;
+    const channel = status & 0x0F;
+    const data1 = reader.readUint8();
+    const data2 = command === 0xC0 || command === 0xD0 ? 0 : reader.readUint8();
+
+    if (command === 0x90 && data2 > 0) {
+      closeNote(channel, data1);
+      const note = { tick, durationTicks: 0, note: data1, velocity: data2 / 127 };
+      trackFor(channel).notes.push(note);
+      openNotes.set(`${channel}:${data1}`, note);
+    } else if (command === 0x80 || command === 0x90) {
+      closeNote(channel, data1);
+    }
+  }
+
+  // Notes never switched off last until the end of the track
+  openNotes.forEach(note => {
+    note.durationTicks = tick - note.tick;
+  });
+
+  const tracks = Array.from(channels.values());
+  tracks.forEach(track => {
+    track.name = name;
+  });
+  return tracks.length > 0 ? tracks : [{ name, channel: 0, notes: [] }];
+}
+
+function mergeChannels(tracks) {
+  // A format 1 track normally uses one channel; keep all of its notes together
+  const notes = tracks.flatMap(track => track.notes).sort((a, b) => a.tick - b.tick);
+  return { name: tracks[0].name, channel: tracks[0].channel, notes };
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  readUint8() {
+    if (this.position >= this.bytes.length) throw new Error('Unexpected end of MIDI file');
+    return this.bytes[this.position++];
+  }
+
+  readUint16() {
+    return (this.readUint8() << 8) | this.readUint8();
+  }
+
+  readUint32() {
+    return ((this.readUint8() << 24) >>> 0) + (this.readUint8() << 16) + (this.readUint8() << 8) + this.readUint8();
+  }
+
+  readBytes(length) {
+    const data = this.bytes.slice(this.position, this.position + length);
+    this.position += length;
+    return data;
+  }
+
+  readString(length) {
+    return String.fromCharCode(...this.readBytes(length));
+  }
+
+  readVariableLength() {
+    let value = 0;
+    let byte;
+    do {
+      byte = this.readUint8();
+      value = (value << 7) | (byte & 0x7F);
+    } while (byte & 0x80);
+    return value;
+  }
+}
@@ -0,0 +1,205 @@
+// motion-filters.js - Noise filters for the head pose, chosen per axis
+// Values are filtered in fractions of the channel's default range, so one set of parameters
+// works for rotation (degrees) and translation alike. Timestamps are in seconds.
+
+export const FILTER_TYPES = ['exponential', 'oneEuro', 'median', 'kalman'];
+
+// Parameters of each filter type, with the ranges the UI offers
+export const FILTER_PARAMETERS = {
+  exponential: {
+    smoothing: { min: 0, max: 0.95, step: 0.05, default: 0.7 }   // Share of the previous value
+  },
+  oneEuro: {
+    minCutoff: { min: 0.05, max: 5, step: 0.05, default: 1 },    // Hz, when the head is still
+    beta: { min: 0, max: 5, step: 0.1, default: 0.5 }            // Cutoff increase with speed
+  },
+  median: {
+    windowSize: { min: 1, max: 15, step: 2, default: 5 }         // Samples
+  },
+  kalman: {
+    processNoise: { min: 1, max: 200, step: 1, default: 20 },             // How freely speed changes
+    measurementNoise: { min: 0.0001, max: 0.01, step: 0.0001, default: 0.001 } // Tracking jitter
+  }
+};
+
+/**
+ * Default settings for a filter type
+ * @param {string} type - One of FILTER_TYPES
+ * @returns {Object} { type, ...parameters }
+ */
+export function defaultFilterSettings(type = 'exponential') {
+  const settings = { type };
+  Object.entries(FILTER_PARAMETERS[type]).forEach(([name, parameter]) => {
+    settings[name] = parameter.default;
+  });
+  return settings;
+}
+
+/**
+ * Build a filter from its settings
+ * @param {Object} settings - { type, ...parameters }, missing parameters use the defaults
+ * @returns {Object} Filter with filter(value, timestamp) and reset()
+ */
+export function createFilter(settings = {}) {
+  const type = FILTER_TYPES.includes(settings.type) ? settings.type : 'exponential';
+  const options = { ...defaultFilterSettings(type), ...settings };
+
+  switch (type) {
+    case 'oneEuro':
+      return new OneEuroFilter(options);
+    case 'median':
+      return new MedianFilter(options);
+    case 'kalman':
+      return new KalmanFilter(options);
+    case 'exponential':
+    default:
+      return new ExponentialFilter(options);
+  }
+}
+
+/**
+ * Fixed exponential smoothing, one step per sample
+ */
+export class ExponentialFilter {
+  constructor({ smoothing = 0.7 } = {}) {
+    this.smoothing = smoothing;
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value === null ? value : this.smoothing * this.value + (1 - this.smoothing) * value;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+/**
+ * One Euro filter (Casiez et al.): a low-pass whose cutoff rises with speed
+ * Small movements such as tremor are smoothed heavily, deliberate fast movements barely lag
+ */
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0.5, derivativeCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+    this.reset();
+  }
+
+  filter(value, timestamp) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    const dt = this._interval(timestamp);
+    const speed = (value - this.value) / dt;
+    this.speed += this._alpha(this.derivativeCutoff, dt) * (speed - this.speed);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    this.value += this._alpha(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+    this.lastTime = 0;
+  }
+
+  _interval(timestamp) {
+    // Repeated or missing timestamps fall back to a typical camera frame
+    const dt = timestamp - this.lastTime;
+    this.lastTime = timestamp;
+    return dt > 0 && dt < 1 ? dt : 1 / 30;
+  }
+
+  _alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+}
+
+/**
+ * Median of the last N samples; removes single-frame spikes without smearing edges
+ */
+export class MedianFilter {
+  constructor({ windowSize = 5 } = {}) {
+    this.windowSize = Math.max(1, Math.round(windowSize));
+    this.samples = [];
+  }
+
+  filter(value) {
+    this.samples.push(value);
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
+
+/**
+ * Kalman filter with a constant-velocity model
+ * Follows steady movement without the lag of plain smoothing; measurementNoise sets how much
+ * a single sample is trusted, processNoise how quickly the speed may change
+ */
+export class KalmanFilter {
+  constructor({ processNoise = 20, measurementNoise = 0.001 } = {}) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.reset();
+  }
+
+  filter(value, timestamp) {
+    if (this.position === null) {
+      this.position = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    const dt = this._interval(timestamp);
+    const q = this.processNoise;
+    let [p00, p01, p10, p11] = this.covariance;
+
+    // Predict
+    this.position += this.velocity * dt;
+    p00 += dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+    p01 += dt * p11 + q * dt * dt / 2;
+    p10 += dt * p11 + q * dt * dt / 2;
+    p11 += q * dt;
+
+    // Update with the measured position
+    const s = p00 + this.measurementNoise;
+    const k0 = p00 / s;
+    const k1 = p10 / s;
+    const residual = value - this.position;
+    this.position += k0 * residual;
+    this.velocity += k1 * residual;
+    this.covariance = [(1 - k0) * p00, (1 - k0) * p01, p10 - k1 * p00, p11 - k1 * p01];
+
+    return this.position;
+  }
+
+  reset() {
+    this.position = null;
+    this.velocity = 0;
+    this.covariance = [1, 0, 0, 1];
+    this.lastTime = 0;
+  }
+
+  _interval(timestamp) {
+    const dt = timestamp - this.lastTime;
+    this.lastTime = timestamp;
+    return dt > 0 && dt < 1 ? dt : 1 / 30;
+  }
+}
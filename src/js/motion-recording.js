@@ -0,0 +1,194 @@
+// motion-recording.js - Records the raw head pose stream and replays it later
+// A replayed performance goes through the input source's pipeline like a live pose, so the
+// current mapping, filters, calibration and response curves apply: it can be re-voiced with
+// another instrument, scale or mapping, or used to reproduce a bug exactly
+
+export const MOTION_FORMAT = 'headsynth-motion';
+export const MOTION_VERSION = 2;
+
+// Raw pose channels, as fed to HeadInputSource
+const POSE_FIELDS = ['yaw', 'pitch', 'roll', 'tx', 'ty', 'tz'];
+
+// Column order of a sample row: milliseconds since the start, then the pose channels.
+// Version 1 files also hold the normalized x/y/z; replays read the columns by name
+const SAMPLE_FIELDS = ['t', ...POSE_FIELDS];
+const PRECISION = 10000; // Values are stored with 4 decimals
+
+export class MotionRecorder {
+  constructor() {
+    this.recording = false;
+    this.startTime = 0;
+    this.samples = [];
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  start() {
+    this.samples = [];
+    this.startTime = performance.now();
+    this.recording = true;
+  }
+
+  /**
+   * Add the raw pose of one head data object, as emitted by HeadInputSource.onHeadMove
+   * @param {Object} headData - Head data with its unfiltered pose
+   * @param {number} timestamp - performance.now() time of the sample
+   */
+  record(headData, timestamp = performance.now()) {
+    if (!this.recording || !headData.pose) return;
+
+    this.samples.push([
+      Math.round(timestamp - this.startTime),
+      ...POSE_FIELDS.map(channel => round(headData.pose[channel]))
+    ]);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} Motion document, or null if nothing was recorded
+   */
+  stop() {
+    if (!this.recording) return null;
+    this.recording = false;
+
+    if (this.samples.length === 0) return null;
+
+    const samples = this.samples;
+    this.samples = [];
+    return {
+      format: MOTION_FORMAT,
+      version: MOTION_VERSION,
+      recordedAt: new Date().toISOString(),
+      duration: samples[samples.length - 1][0],
+      fields: SAMPLE_FIELDS,
+      samples
+    };
+  }
+}
+
+export class MotionPlayer {
+  constructor() {
+    this.motion = null;
+    this.position = 0;
+    this.startTime = 0;
+    this.timeoutId = null;
+
+    // Callback functions
+    this.onFrame = null; // (pose, timestamp) - raw { yaw, pitch, roll, tx, ty, tz } and its performance.now() time
+    this.onEnd = null;   // () - the whole recording was played
+  }
+
+  isPlaying() {
+    return this.timeoutId !== null;
+  }
+
+  /**
+   * Replay a motion document with its original timing
+   * @param {Object} motion - Motion document from MotionRecorder.stop() or decodeMotion()
+   */
+  play(motion) {
+    this.stop();
+    validateMotion(motion);
+
+    this.motion = motion;
+    this.position = 0;
+    this.startTime = performance.now();
+    this._scheduleNext();
+  }
+
+  stop() {
+    if (this.timeoutId !== null) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+  }
+
+  /**
+   * Seconds of the recording played so far
+   */
+  getElapsed() {
+    return this.isPlaying() ? (performance.now() - this.startTime) / 1000 : 0;
+  }
+
+  _scheduleNext() {
+    const samples = this.motion.samples;
+    if (this.position >= samples.length) {
+      this.timeoutId = null;
+      if (typeof this.onEnd === 'function') {
+        this.onEnd();
+      }
+      return;
+    }
+
+    const delay = this.startTime + samples[this.position][0] - performance.now();
+    this.timeoutId = setTimeout(() => {
+      // Deliver every sample that is due, in order, even if the timer fired late
+      const now = performance.now();
+      while (this.position < samples.length && this.startTime + samples[this.position][0] <= now) {
+        const row = samples[this.position++];
+        if (typeof this.onFrame === 'function') {
+          this.onFrame(this._toPose(row), this.startTime + row[0]);
+        }
+      }
+      this._scheduleNext();
+    }, Math.max(0, delay));
+  }
+
+  _toPose(row) {
+    const pose = {};
+    POSE_FIELDS.forEach(channel => {
+      pose[channel] = row[this.motion.fields.indexOf(channel)];
+    });
+    return pose;
+  }
+}
+
+/**
+ * Serialize a motion document as compact JSON
+ * @param {Object} motion - Motion document
+ * @returns {string} JSON text
+ */
+export function encodeMotion(motion) {
+  validateMotion(motion);
+  return JSON.stringify(motion);
+}
+
+/**
+ * Read a motion document from JSON text
+ * @param {string} text - JSON text
+ * @returns {Object} Validated motion document
+ */
+export function decodeMotion(text) {
+  let motion;
+  try {
+    motion = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  validateMotion(motion);
+  return motion;
+}
+
+function validateMotion(motion) {
+  if (!motion || motion.format !== MOTION_FORMAT) {
+    throw new Error('The file is not a HeadSynth motion recording');
+  }
+  if (typeof motion.version !== 'number' || motion.version > MOTION_VERSION) {
+    throw new Error(`Unsupported motion recording version: ${motion.version}`);
+  }
+  if (!Array.isArray(motion.fields) || motion.fields[0] !== 't' ||
+      POSE_FIELDS.some(channel => !motion.fields.includes(channel))) {
+    throw new Error('The motion recording has no pose columns');
+  }
+  if (!Array.isArray(motion.samples) ||
+      motion.samples.some(row => !Array.isArray(row) || row.length !== motion.fields.length)) {
+    throw new Error('The motion recording has no valid samples');
+  }
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * PRECISION) / PRECISION : 0;
+}
@@ -0,0 +1,240 @@
+// note-trigger.js - Note onset state machine between the head tracker and the synth engine
+// Turns the continuous head position into clean note-on / note-off events
+
+/**
+ * Trigger modes
+ * legato    - a new note starts only when the head moves into another zone
+ * dwell     - a note starts after the head has rested in a zone for a while
+ * gesture   - the zone picks the note, a gesture (e.g. opening the mouth) plays it
+ * quantized - zone changes are played on the next beat subdivision
+ */
+export const TRIGGER_MODES = ['legato', 'dwell', 'gesture', 'quantized'];
+
+export class NoteTrigger {
+  constructor(noteCount = 7) {
+    // Settings
+    this.mode = 'legato';
+    this.noteCount = noteCount;
+    this.hysteresis = 0.25;            // Fraction of a zone the head must pass a boundary by
+    this.dwellTime = 500;              // Milliseconds in a zone before a dwell note starts
+    this.quantizeSubdivision = '8n';   // Grid for quantized mode
+
+    // State
+    this.currentZone = -1;
+    this.activeNote = -1;
+    this.lastVelocity = 0.7;
+    this.dwellZone = -1;
+    this.dwellStart = 0;
+    this.gestureHeld = false;
+    this.pendingEventId = null;
+    this.pendingZone = -1;
+
+    // Callback functions
+    this.onNoteOn = null;        // ({ noteIndex, velocity, time })
+    this.onNoteOff = null;       // ({ noteIndex, time })
+    this.onZoneChange = null;    // (zone)
+    this.onDwellProgress = null; // (zone, progress 0-1)
+  }
+
+  /**
+   * Set the trigger mode, releasing any sounding note
+   * @param {string} mode - One of TRIGGER_MODES
+   */
+  setMode(mode) {
+    if (!TRIGGER_MODES.includes(mode) || mode === this.mode) return false;
+
+    this.releaseAll();
+    this.mode = mode;
+    this.currentZone = -1;
+    return true;
+  }
+
+  /**
+   * Set the number of note zones (the length of the current scale)
+   * @param {number} noteCount - Number of zones
+   */
+  setNoteCount(noteCount) {
+    this.releaseAll();
+    this.noteCount = noteCount;
+    this.currentZone = -1;
+  }
+
+  setDwellTime(milliseconds) {
+    this.dwellTime = Math.max(0, milliseconds);
+  }
+
+  setHysteresis(fraction) {
+    this.hysteresis = Math.max(0, Math.min(0.5, fraction));
+  }
+
+  /**
+   * Feed a new head position
+   * @param {number} position - Normalized position (-1 to 1)
+   * @param {number} velocity - Velocity for notes started by this update (0-1)
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {number} The current zone
+   */
+  update(position, velocity = 0.7, timestamp = performance.now()) {
+    this.lastVelocity = velocity;
+
+    const zone = this._zoneFor(position);
+    const zoneChanged = zone !== this.currentZone;
+    if (zoneChanged) {
+      this.currentZone = zone;
+      if (typeof this.onZoneChange === 'function') {
+        this.onZoneChange(zone);
+      }
+    }
+
+    switch (this.mode) {
+      case 'legato':
+        if (zoneChanged) {
+          this._startNote(zone, velocity);
+        }
+        break;
+
+      case 'dwell':
+        this._updateDwell(zone, zoneChanged, velocity, timestamp);
+        break;
+
+      case 'gesture':
+        // While the gesture is held, moving to another zone slides to that note
+        if (zoneChanged && this.gestureHeld) {
+          this._startNote(zone, velocity);
+        }
+        break;
+
+      case 'quantized':
+        if (zoneChanged) {
+          this._scheduleQuantized(zone, velocity);
+        }
+        break;
+    }
+
+    return zone;
+  }
+
+  /**
+   * A trigger gesture started: plays the note under the head
+   * In modes other than 'gesture' this re-strikes the current note
+   */
+  gestureStart(velocity = this.lastVelocity) {
+    this.gestureHeld = true;
+    if (this.currentZone < 0) return;
+
+    if (this.mode === 'quantized') {
+      this._scheduleQuantized(this.currentZone, velocity);
+    } else {
+      this._startNote(this.currentZone, velocity);
+    }
+  }
+
+  /**
+   * A trigger gesture ended: in 'gesture' mode the note stops
+   */
+  gestureEnd() {
+    this.gestureHeld = false;
+    if (this.mode === 'gesture') {
+      this._stopNote();
+    }
+  }
+
+  /**
+   * Stop the sounding note and cancel anything pending
+   */
+  releaseAll() {
+    this._cancelPending();
+    this._stopNote();
+    this.dwellZone = -1;
+    this.gestureHeld = false;
+  }
+
+  getActiveNote() {
+    return this.activeNote;
+  }
+
+  _zoneFor(position) {
+    const scaled = ((position + 1) / 2) * this.noteCount;
+    const rawZone = Math.max(0, Math.min(this.noteCount - 1, Math.floor(scaled)));
+
+    // Stay in the current zone until the head clearly passes one of its boundaries
+    if (this.currentZone >= 0 && rawZone !== this.currentZone) {
+      const lower = this.currentZone - this.hysteresis;
+      const upper = this.currentZone + 1 + this.hysteresis;
+      if (scaled > lower && scaled < upper) {
+        return this.currentZone;
+      }
+    }
+
+    return rawZone;
+  }
+
+  _updateDwell(zone, zoneChanged, velocity, timestamp) {
+    if (zoneChanged) {
+      // Leaving a zone ends its note; the next one has to be dwelt on again
+      this._stopNote();
+      this.dwellZone = zone;
+      this.dwellStart = timestamp;
+    }
+
+    if (this.activeNote === zone || this.dwellZone !== zone) return;
+
+    const progress = this.dwellTime > 0 ? Math.min(1, (timestamp - this.dwellStart) / this.dwellTime) : 1;
+    if (typeof this.onDwellProgress === 'function') {
+      this.onDwellProgress(zone, progress);
+    }
+
+    if (progress >= 1) {
+      this._startNote(zone, velocity);
+    }
+  }
+
+  _scheduleQuantized(zone, velocity) {
+    this._cancelPending();
+
+    // The quantize grid is the transport, so make sure it is running
+    if (Tone.Transport.state !== 'started') {
+      Tone.Transport.start();
+    }
+
+    this.pendingZone = zone;
+    this.pendingEventId = Tone.Transport.scheduleOnce((time) => {
+      this.pendingEventId = null;
+      this.pendingZone = -1;
+      this._startNote(zone, velocity, time);
+    }, this._nextGridTime());
+  }
+
+  _nextGridTime() {
+    // Next grid line on the transport timeline (in transport seconds)
+    const grid = Tone.Time(this.quantizeSubdivision).toSeconds();
+    return (Math.floor(Tone.Transport.seconds / grid) + 1) * grid;
+  }
+
+  _cancelPending() {
+    if (this.pendingEventId !== null) {
+      Tone.Transport.clear(this.pendingEventId);
+      this.pendingEventId = null;
+      this.pendingZone = -1;
+    }
+  }
+
+  _startNote(zone, velocity, time) {
+    this._stopNote(time);
+
+    this.activeNote = zone;
+    if (typeof this.onNoteOn === 'function') {
+      this.onNoteOn({ noteIndex: zone, velocity, time });
+    }
+  }
+
+  _stopNote(time) {
+    if (this.activeNote < 0) return;
+
+    const noteIndex = this.activeNote;
+    this.activeNote = -1;
+    if (typeof this.onNoteOff === 'function') {
+      this.onNoteOff({ noteIndex, time });
+    }
+  }
+}
@@ -0,0 +1,90 @@
+// note-verification.js - "Hit every note" round after calibration
+// Each note of the scale becomes the target in turn; a note that is not played in time is
+// skipped and reported, so the player knows which zones the calibration leaves out of reach
+
+export class NoteVerification {
+  constructor() {
+    this.noteCount = 0;
+    this.position = 0;
+    this.active = false;
+    this.reached = [];
+    this.missed = [];
+    this.noteTimeout = 8000; // ms to hit each note before it counts as out of reach
+    this.timer = null;
+
+    // Callback functions
+    this.onTargetChange = null; // (noteIndex, position, length) - noteIndex is -1 when finished
+    this.onComplete = null;     // ({ reached, missed, length })
+  }
+
+  /**
+   * Start a round over every note of the scale, lowest first
+   * @param {number} noteCount - Number of notes in the current scale
+   */
+  start(noteCount) {
+    if (noteCount <= 0) return false;
+
+    this.stop();
+    this.noteCount = noteCount;
+    this.position = 0;
+    this.reached = [];
+    this.missed = [];
+    this.active = true;
+    this._nextTarget();
+    return true;
+  }
+
+  stop() {
+    if (!this.active) return;
+
+    clearTimeout(this.timer);
+    this.active = false;
+    this.position = 0;
+    if (typeof this.onTargetChange === 'function') {
+      this.onTargetChange(-1, 0, 0);
+    }
+  }
+
+  /**
+   * The player played a note
+   * @param {number} noteIndex - Index of the note in the scale
+   * @returns {boolean} Whether it was the target note
+   */
+  handleNote(noteIndex) {
+    if (!this.active || noteIndex !== this.getTarget()) return false;
+
+    this.reached.push(noteIndex);
+    this._advance();
+    return true;
+  }
+
+  getTarget() {
+    return this.active ? this.position : -1;
+  }
+
+  _advance() {
+    clearTimeout(this.timer);
+    this.position++;
+
+    if (this.position >= this.noteCount) {
+      const result = { reached: this.reached, missed: this.missed, length: this.noteCount };
+      this.stop();
+      if (typeof this.onComplete === 'function') {
+        this.onComplete(result);
+      }
+    } else {
+      this._nextTarget();
+    }
+  }
+
+  _nextTarget() {
+    this.timer = setTimeout(() => {
+      this.missed.push(this.position);
+      this._advance();
+    }, this.noteTimeout);
+
+    if (typeof this.onTargetChange === 'function') {
+      this.onTargetChange(this.position, this.position, this.noteCount);
+    }
+  }
+}
@@ -200,6 +200,45 @@ export class NotesGrid {
     this._announceNoteForAccessibility(index);
   }
   
+  /**
+   * Remove the highlight from a note when it stops sounding
+   * @param {number} index - Index of the note that was released
+   */
+  releaseNote(index) {
+    if (index < 0 || index >= this.noteElements.length) return;
+    
+    this.noteElements[index].classList.remove('active');
+    if (this.activeNoteIndex === index) {
+      this.activeNoteIndex = -1;
+    }
+  }
+  
+  /**
+   * Show how far a note is from being triggered (e.g. dwell progress)
+   * @param {number} index - Index of the pending note, or -1 to clear
+   * @param {number} progress - Progress towards the trigger (0-1)
+   */
+  setPendingNote(index, progress = 0) {
+    this.noteElements.forEach((element, i) => {
+      if (i === index && progress < 1) {
+        element.classList.add('pending');
+        element.style.setProperty('--pending-progress', `${Math.round(progress * 100)}%`);
+      } else {
+        element.classList.remove('pending');
+      }
+    });
+  }
+  
+  /**
+   * Mark the note the player should play next (guided play)
+   * @param {number} index - Index of the target note, or -1 to clear
+   */
+  setTargetNote(index) {
+    this.noteElements.forEach((element, i) => {
+      element.classList.toggle('target', i === index);
+    });
+  }
+  
   /**
    * Create a visual trail effect for recently played notes
    * @param {number} index - Index of the note to add
@@ -0,0 +1,130 @@
+// offline-renderer.js - Renders loop tracks to a WAV file faster than real time
+// Tracks are replayed through Tone.Offline with the live output chain, instrument presets
+// and mixer settings; nothing in the render depends on the sound card or on wall-clock time
+
+import { ChannelStrip } from './channel-strip.js';
+import { encodeWav } from './wav-encoder.js';
+import { createRandom } from './random.js';
+
+export class OfflineRenderer {
+  constructor(synthEngine) {
+    this.synthEngine = synthEngine;
+    this.sampleRate = 44100;
+    this.channels = 2;
+    this.seed = 1;
+  }
+
+  /**
+   * Length of a render in seconds
+   * A cycle is the longest track, so every track completes a whole number of loops
+   * @param {Object} looperState - State from Looper.serialize()
+   * @param {Object} options - { cycles, tail }
+   */
+  getDuration(looperState, { cycles = 1, tail = 0 } = {}) {
+    return this._cycleLength(looperState) * cycles + tail;
+  }
+
+  /**
+   * Render loop tracks to audio
+   * @param {Object} looperState - State from Looper.serialize()
+   * @param {Object} options - { cycles: loop cycles to play, tail: seconds of release and
+   *   effect decay after the last cycle, bitDepth: 16 or 24 }
+   * @returns {Promise<Object>} { buffer (Tone.ToneAudioBuffer), blob (WAV file), duration }
+   */
+  async render(looperState, { cycles = 1, tail = 2, bitDepth = 16 } = {}) {
+    const tracks = looperState.tracks.filter(track => track.duration > 0 && track.events.length > 0);
+    if (tracks.length === 0) {
+      throw new Error('There are no loop tracks to render');
+    }
+
+    const length = this._cycleLength(looperState) * Math.max(1, Math.round(cycles));
+    const duration = length + Math.max(0, tail);
+    const loopVolume = this.synthEngine.loopBus ? this.synthEngine.loopBus.volume.value : -6;
+
+    // Samples are fetched in the live context first: the offline callback must not wait on
+    // the network, because Tone's global context points at the offline one while it runs
+    const sounds = await Promise.all(tracks.map(track => this._prepareSound(track.sound || {})));
+
+    const buffer = await Tone.Offline(() => {
+      this._withSeededRandom(() => {
+        const chain = this.synthEngine.createOutputChain();
+        chain.loopBus.volume.value = loopVolume;
+
+        tracks.forEach((track, index) => {
+          const strip = new ChannelStrip(track.mixer, chain.loopBus, chain.sendEffects);
+          const voice = this.synthEngine.createVoice(strip.channel, sounds[index]);
+          this._scheduleTrack(track, voice, strip, length);
+        });
+      });
+    }, duration, this.channels, this.sampleRate);
+
+    const blob = new Blob([encodeWav(buffer, bitDepth)], { type: 'audio/wav' });
+    return { buffer, blob, duration };
+  }
+
+  _cycleLength(looperState) {
+    const durations = looperState.tracks.map(track => track.duration || 0);
+    return Math.max(looperState.loopDuration || 0, ...durations);
+  }
+
+  /**
+   * Schedule every repetition of a track that starts before the end of the render
+   * Notes still sounding at the end are released there, so the tail holds only their decay
+   */
+  _scheduleTrack(track, voice, strip, length) {
+    const events = [...track.events].sort((a, b) => a.time - b.time);
+
+    for (let cycleStart = 0; cycleStart < length - 1e-9; cycleStart += track.duration) {
+      events.forEach(event => {
+        const time = cycleStart + event.time;
+        if (time >= length) return;
+
+        if (event.type === 'note') {
+          voice.playNote(event.noteIndex, event.velocity, time, event.octave);
+          if (typeof event.effectValue === 'number') {
+            strip.setEffectValue(event.effectValue, time);
+          }
+        } else if (event.type === 'noteOff') {
+          voice.releaseNote(event.noteIndex, time, event.octave);
+        } else if (event.type === 'effect' && typeof event.effectValue === 'number') {
+          strip.setEffectValue(event.effectValue, time);
+        }
+      });
+    }
+
+    voice.releaseAll(length);
+  }
+
+  /**
+   * Sound settings with sample URLs replaced by loaded audio buffers
+   * Audio buffers are not tied to a context, so the offline sampler can use them directly
+   */
+  async _prepareSound(sound) {
+    const instrument = sound.instrument || this.synthEngine.currentInstrument;
+    const preset = sound.preset || this.synthEngine.instrumentPresets[instrument];
+    if (instrument !== 'piano' || !preset || !preset.urls) {
+      return sound;
+    }
+
+    const urls = {};
+    await Promise.all(Object.keys(preset.urls).map(async note => {
+      urls[note] = await Tone.ToneAudioBuffer.load(`${this.synthEngine.sampleBaseUrl}${preset.urls[note]}`);
+    }));
+    return { ...sound, instrument, preset: { ...preset, urls } };
+  }
+
+  /**
+   * Run a function with Math.random seeded
+   * Tone builds its shared noise buffers (used by the pluck instrument) with Math.random the
+   * first time they are needed; seeding keeps a render that creates them reproducible
+   */
+  _withSeededRandom(callback) {
+    const random = Math.random;
+    Math.random = createRandom(this.seed);
+    try {
+      callback();
+    } finally {
+      Math.random = random;
+    }
+  }
+}
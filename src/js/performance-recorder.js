@@ -0,0 +1,183 @@
+// performance-recorder.js - Records the master output (live playing plus loops) to an audio file
+// WebM/Opus goes through MediaRecorder; WAV captures raw samples with an AudioWorklet
+
+import { encodeWav } from './wav-encoder.js';
+
+const CAPTURE_PROCESSOR = 'headsynth-capture';
+
+// Posts every block of input samples to the main thread
+const CAPTURE_PROCESSOR_SOURCE = `
+class CaptureProcessor extends AudioWorkletProcessor {
+  process(inputs) {
+    const input = inputs[0];
+    if (input && input.length > 0) {
+      this.port.postMessage(input.map(channel => channel.slice(0)));
+    }
+    return true;
+  }
+}
+registerProcessor('${CAPTURE_PROCESSOR}', CaptureProcessor);
+`;
+
+export const RECORDING_FORMATS = {
+  webm: { mimeType: 'audio/webm;codecs=opus', extension: 'webm' },
+  wav: { mimeType: 'audio/wav', extension: 'wav' }
+};
+
+export class PerformanceRecorder {
+  constructor(synthEngine) {
+    this.synthEngine = synthEngine;
+    this.format = 'webm';
+    this.recording = false;
+    this.startTime = 0;     // Audio context time when recording started
+    this.peakDb = -Infinity;
+
+    this.meter = null;
+    this.mediaRecorder = null; // Tone.Recorder, for WebM
+    this.captureNode = null;   // AudioWorkletNode, for WAV
+    this.capturedChunks = [];  // Blocks of samples, one Float32Array per channel
+  }
+
+  /**
+   * Whether a format can be recorded in this browser
+   * @param {string} format - 'webm' or 'wav'
+   */
+  isSupported(format) {
+    if (format === 'webm') {
+      return Tone.Recorder.supported && typeof MediaRecorder.isTypeSupported === 'function' &&
+        MediaRecorder.isTypeSupported(RECORDING_FORMATS.webm.mimeType);
+    }
+    return format === 'wav' && typeof AudioWorkletNode !== 'undefined';
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Start recording the master output
+   * @param {string} format - 'webm' or 'wav'
+   */
+  async start(format = this.format) {
+    if (this.recording) return;
+    if (!this.synthEngine.limiter) {
+      throw new Error('The audio engine has not been started');
+    }
+    if (!this.isSupported(format)) {
+      throw new Error(`Recording ${format} is not supported in this browser`);
+    }
+
+    this.format = format;
+    const source = this.synthEngine.limiter;
+
+    if (format === 'webm') {
+      this.mediaRecorder = new Tone.Recorder({ mimeType: RECORDING_FORMATS.webm.mimeType });
+      source.connect(this.mediaRecorder);
+      await this.mediaRecorder.start();
+    } else {
+      await this._startCapture(source);
+    }
+
+    this.meter = new Tone.Meter({ smoothing: 0 });
+    source.connect(this.meter);
+
+    this.peakDb = -Infinity;
+    this.startTime = Tone.now();
+    this.recording = true;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Object>} { blob, extension, duration }
+   */
+  async stop() {
+    if (!this.recording) return null;
+
+    const duration = this.getElapsed();
+    this.recording = false;
+    const source = this.synthEngine.limiter;
+
+    let blob;
+    if (this.format === 'webm') {
+      blob = await this.mediaRecorder.stop();
+      source.disconnect(this.mediaRecorder);
+      this.mediaRecorder.dispose();
+      this.mediaRecorder = null;
+    } else {
+      blob = this._stopCapture(source);
+    }
+
+    source.disconnect(this.meter);
+    this.meter.dispose();
+    this.meter = null;
+
+    return { blob, extension: RECORDING_FORMATS[this.format].extension, duration };
+  }
+
+  /**
+   * Seconds since recording started
+   */
+  getElapsed() {
+    return this.recording ? Tone.now() - this.startTime : 0;
+  }
+
+  /**
+   * Current and peak output level since recording started
+   * @returns {Object} { level, peak } in dB
+   */
+  getLevel() {
+    if (!this.meter) return { level: -Infinity, peak: this.peakDb };
+
+    const level = this.meter.getValue();
+    this.peakDb = Math.max(this.peakDb, level);
+    return { level, peak: this.peakDb };
+  }
+
+  async _startCapture(source) {
+    const context = Tone.getContext();
+    const url = URL.createObjectURL(new Blob([CAPTURE_PROCESSOR_SOURCE], { type: 'application/javascript' }));
+    try {
+      await context.addAudioWorkletModule(url, CAPTURE_PROCESSOR);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    this.capturedChunks = [];
+    this.captureNode = context.createAudioWorkletNode(CAPTURE_PROCESSOR, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: 2,
+      channelCountMode: 'explicit'
+    });
+    this.captureNode.port.onmessage = (event) => {
+      if (this.recording) {
+        this.capturedChunks.push(event.data);
+      }
+    };
+    source.connect(this.captureNode);
+  }
+
+  _stopCapture(source) {
+    source.disconnect(this.captureNode);
+    this.captureNode.port.onmessage = null;
+    this.captureNode = null;
+
+    // Join the blocks into one buffer per channel
+    const length = this.capturedChunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+    const channels = [new Float32Array(length), new Float32Array(length)];
+    let offset = 0;
+    this.capturedChunks.forEach(chunk => {
+      channels.forEach((channel, index) => channel.set(chunk[index] || chunk[0], offset));
+      offset += chunk[0].length;
+    });
+    this.capturedChunks = [];
+
+    const buffer = {
+      numberOfChannels: channels.length,
+      length,
+      sampleRate: Tone.getContext().sampleRate,
+      getChannelData: (index) => channels[index]
+    };
+    return new Blob([encodeWav(buffer, 16)], { type: RECORDING_FORMATS.wav.mimeType });
+  }
+}
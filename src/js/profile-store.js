@@ -0,0 +1,48 @@
+// profile-store.js - Named user profiles in IndexedDB, plus JSON file export/import
+// A profile holds what it takes to fit HeadSynth to one person and setup: the calibration,
+// the axis mappings, the motion filters and the response curves
+
+import { DocumentStore } from './document-store.js';
+
+export const PROFILE_FORMAT = 'headsynth-profile';
+export const PROFILE_VERSION = 1;
+
+export class ProfileStore extends DocumentStore {
+  constructor() {
+    super({
+      storeName: 'profiles',
+      format: PROFILE_FORMAT,
+      version: PROFILE_VERSION,
+      kind: 'profile',
+      fileExtension: '.headsynth-profile.json'
+    });
+  }
+
+  /**
+   * Wrap profile data in a versioned document
+   * @param {string} name - Profile name, e.g. "Dana - wheelchair"
+   * @param {Object} data - { calibration, axisSources, filters, transfers }
+   * @returns {Object} Profile document
+   */
+  createDocument(name, data) {
+    return super.createDocument(name, {
+      calibration: data.calibration,
+      axisSources: data.axisSources,
+      filters: data.filters,
+      transfers: data.transfers
+    });
+  }
+
+  validateContent(profile) {
+    if (!profile.name || !profile.calibration) {
+      throw new Error('The profile is missing its name or calibration');
+    }
+  }
+
+  /**
+   * Profiles are listed by name
+   */
+  compare(a, b) {
+    return a.name.localeCompare(b.name);
+  }
+}
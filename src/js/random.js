@@ -0,0 +1,18 @@
+// random.js - Seeded pseudo-random numbers
+// Used wherever audio must come out the same on every run (reverb impulses, offline renders)
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,64 @@
+// seeded-reverb.js - Convolution reverb with a reproducible impulse response
+// Works like Tone.Reverb, but the decaying noise impulse comes from a seeded generator,
+// so the live sound and offline renders are identical on every run
+
+import { createRandom } from './random.js';
+
+export class SeededReverb extends Tone.Effect {
+  /**
+   * @param {Object} options - { decay, preDelay, wet, seed }
+   */
+  constructor(options = {}) {
+    const settings = { ...SeededReverb.getDefaults(), ...options };
+    super(settings);
+
+    this.name = 'SeededReverb';
+    this.decay = settings.decay;
+    this.preDelay = settings.preDelay;
+    this.seed = settings.seed;
+
+    this._convolver = this.context.createConvolver();
+    this.connectEffect(this._convolver);
+    this.generate();
+  }
+
+  static getDefaults() {
+    return Object.assign(Tone.Effect.getDefaults(), {
+      decay: 1.5,
+      preDelay: 0.01,
+      seed: 1
+    });
+  }
+
+  /**
+   * Build the impulse response: stereo noise that fades in over the pre-delay
+   * and decays by 60 dB over the decay time
+   * @returns {Promise<SeededReverb>} Resolves once the impulse is in place
+   */
+  generate() {
+    const sampleRate = this.context.sampleRate;
+    const length = Math.max(1, Math.ceil((this.preDelay + this.decay) * sampleRate));
+    const impulse = this.context.createBuffer(2, length, sampleRate);
+    const random = createRandom(this.seed);
+
+    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        const time = i / sampleRate;
+        const envelope = time < this.preDelay
+          ? time / this.preDelay
+          : Math.exp(-6.9 * (time - this.preDelay) / this.decay);
+        data[i] = (random() * 2 - 1) * envelope;
+      }
+    }
+
+    this._convolver.buffer = impulse;
+    return Promise.resolve(this);
+  }
+
+  dispose() {
+    super.dispose();
+    this._convolver.disconnect();
+    return this;
+  }
+}
@@ -0,0 +1,38 @@
+// session-store.js - Named looper sessions in IndexedDB, plus JSON file export/import
+// A session is a versioned JSON document, so files saved today can be migrated later
+
+import { DocumentStore } from './document-store.js';
+
+export const SESSION_FORMAT = 'headsynth-session';
+export const SESSION_VERSION = 1;
+
+export class SessionStore extends DocumentStore {
+  constructor() {
+    super({
+      storeName: 'sessions',
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      kind: 'session',
+      fileExtension: '.headsynth.json'
+    });
+  }
+
+  /**
+   * Wrap session data in a versioned document
+   * @param {string} name - Session name
+   * @param {Object} data - { settings, looper }
+   * @returns {Object} Session document
+   */
+  createDocument(name, data) {
+    return super.createDocument(name, {
+      settings: data.settings,
+      looper: data.looper
+    });
+  }
+
+  validateContent(session) {
+    if (!session.name || !session.looper || !Array.isArray(session.looper.tracks)) {
+      throw new Error('The session is missing its name or tracks');
+    }
+  }
+}
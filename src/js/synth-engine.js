@@ -2,6 +2,8 @@
 // Optimized for users with limited mobility
 
 import i18n from './i18n.js';
+import { TrackVoice } from './track-voice.js';
+import { SeededReverb } from './seeded-reverb.js';
 
 export class SynthEngine {
   constructor() {
@@ -16,6 +18,10 @@ export class SynthEngine {
     this.volume = null;
     this.limiter = null; // Added limiter to prevent audio clipping
 
+    // Loop tracks: a bus for their channel strips and shared send-effect returns
+    this.loopBus = null;
+    this.sendEffects = {};
+
     // Musical scales with both English and Hebrew note names
     this.scales = {
       major: ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
@@ -35,6 +41,10 @@ export class SynthEngine {
     this.lastNotePlayed = null;
     this.isPlaying = false;
 
+    // Sustain pedal: releases are held back while it is down
+    this.sustainEnabled = false;
+    this.sustainedNotes = new Set();
+
     // Performance settings
     this.noteReleaseDuration = 0.4; // Extended for better overlap between notes
     this.glideEnabled = false;
@@ -50,6 +60,11 @@ export class SynthEngine {
     this.onNoteRelease = null;
     this.onInstrumentChange = null;
 
+    // Where the piano samples are fetched from; the preset only names the files, so saved
+    // loops follow the deployment (CDN or offline copy) they are played back in
+    // Raw files, the GitHub Pages copy does not serve every sample
+    this.sampleBaseUrl = 'https://raw.githubusercontent.com/Tonejs/audio/master/salamander/';
+
     // Instrument presets with improved settings for each type
     this.instrumentPresets = {
       synth: {
@@ -138,7 +153,6 @@ export class SynthEngine {
           A7: "A7.mp3",
           C8: "C8.mp3"
         },
-        baseUrl: "https://tonejs.github.io/audio/salamander/",
         release: 1
       }
     };
@@ -153,32 +167,17 @@ export class SynthEngine {
       await Tone.start();
       console.log('Audio context started');
 
-      // Create master limiter to prevent clipping
-      this.limiter = new Tone.Limiter(-3).toDestination();
-
-      // Create reverb effect
-      this.reverb = new Tone.Reverb({
-        decay: 2.5,
-        wet: 0.3,
-        preDelay: 0.01
-      }).connect(this.limiter);
-
-      // Create delay effect
-      this.delay = new Tone.FeedbackDelay({
-        delayTime: 0.25,
-        feedback: 0.2,
-        wet: 0.2
-      }).connect(this.reverb);
-
-      // Create volume control
-      this.volume = new Tone.Volume(-6).connect(this.delay);
+      const chain = this.createOutputChain();
+      this.limiter = chain.limiter;
+      this.reverb = chain.reverb;
+      this.delay = chain.delay;
+      this.volume = chain.volume;
+      this.loopBus = chain.loopBus;
+      this.sendEffects = chain.sendEffects;
 
       // Create default synth
       await this._createSynth('synth');
 
-      // Wait for reverb to initialize
-      await this.reverb.generate();
-
       console.log('Synth engine initialized');
       return true;
     } catch (error) {
@@ -187,6 +186,42 @@ export class SynthEngine {
     }
   }
 
+  /**
+   * Build the output effect chain in the current Tone context
+   * Offline renders call this inside Tone.Offline to get exactly the live chain
+   * @returns {Object} { limiter, reverb, delay, volume, loopBus, sendEffects }
+   */
+  createOutputChain() {
+    // Create master limiter to prevent clipping
+    const limiter = new Tone.Limiter(-3).toDestination();
+
+    // Create reverb effect (seeded, so its impulse response is the same on every run)
+    const reverb = new SeededReverb({
+      decay: 2.5,
+      wet: 0.3,
+      preDelay: 0.01
+    }).connect(limiter);
+
+    // Create delay effect
+    const delay = new Tone.FeedbackDelay({
+      delayTime: 0.25,
+      feedback: 0.2,
+      wet: 0.2
+    }).connect(reverb);
+
+    // Create volume control
+    const volume = new Tone.Volume(-6).connect(delay);
+
+    // Loop tracks are mixed on their own bus, with fully wet effects fed by per-track sends
+    const loopBus = new Tone.Volume(-6).connect(limiter);
+    const sendEffects = {
+      reverb: new SeededReverb({ decay: 2.5, wet: 1, preDelay: 0.01 }).connect(limiter),
+      delay: new Tone.FeedbackDelay({ delayTime: 0.25, feedback: 0.2, wet: 1 }).connect(limiter)
+    };
+
+    return { limiter, reverb, delay, volume, loopBus, sendEffects };
+  }
+
   /**
    * Start the synth engine
    */
@@ -218,9 +253,10 @@ export class SynthEngine {
    * Play a note based on scale index
    * @param {number} noteIndex - Index of the note in the current scale
    * @param {number} velocity - Velocity of the note (0-1)
+   * @param {number} time - Audio context time to start the note (defaults to now)
    * @returns {string} The full note name that was played
    */
-  playNote(noteIndex, velocity = 0.7) {
+  playNote(noteIndex, velocity = 0.7, time) {
     if (!this.isPlaying || !this.synth || noteIndex < 0) return null;
 
     const scale = this.getCurrentScale();
@@ -242,12 +278,11 @@ export class SynthEngine {
     // Determine if we should release the last note
     if (this.autoReleaseEnabled && this.lastNotePlayed &&
       this.lastNotePlayed !== fullNoteName) {
-      this.synth.triggerRelease(this.lastNotePlayed);
-      this.activeNotes.delete(this.lastNotePlayed);
+      this._releaseFullNote(this.lastNotePlayed);
     }
 
     // Special handling for different instruments
-    let now = Tone.now();
+    let now = time !== undefined ? time : Tone.now();
 
     // Trigger the new note - different handling for Sampler vs other synths
     if (this.currentInstrument === 'piano') {
@@ -266,8 +301,7 @@ export class SynthEngine {
     if (this.autoReleaseEnabled && this.currentInstrument !== 'piano') {
       Tone.Transport.scheduleOnce(() => {
         if (this.activeNotes.has(fullNoteName)) {
-          this.synth.triggerRelease(fullNoteName);
-          this.activeNotes.delete(fullNoteName);
+          this._releaseFullNote(fullNoteName);
 
           // Notify about release
           if (typeof this.onNoteRelease === 'function') {
@@ -288,8 +322,9 @@ export class SynthEngine {
   /**
    * Manually release a note
    * @param {number} noteIndex - Index of the note to release
+   * @param {number} time - Audio context time to release the note (defaults to now)
    */
-  releaseNote(noteIndex) {
+  releaseNote(noteIndex, time) {
     if (!this.isPlaying || !this.synth) return;
 
     const scale = this.getCurrentScale();
@@ -299,8 +334,7 @@ export class SynthEngine {
     const fullNoteName = `${noteName}${this.octave}`;
 
     if (this.activeNotes.has(fullNoteName)) {
-      this.synth.triggerRelease(fullNoteName);
-      this.activeNotes.delete(fullNoteName);
+      this._releaseFullNote(fullNoteName, time);
       this.lastNotePlayed = null;
 
       // Notify about release
@@ -310,12 +344,50 @@ export class SynthEngine {
     }
   }
 
+  /**
+   * Release a note by its full name, unless the sustain pedal is holding it
+   * @param {string} fullNoteName - Note name including octave (e.g. 'C4')
+   * @param {number} time - Audio context time of the release (defaults to now)
+   */
+  _releaseFullNote(fullNoteName, time) {
+    this.activeNotes.delete(fullNoteName);
+
+    if (this.sustainEnabled) {
+      this.sustainedNotes.add(fullNoteName);
+      return;
+    }
+
+    this.synth.triggerRelease(fullNoteName, time);
+  }
+
+  /**
+   * Press or lift the sustain pedal
+   * @param {boolean} enabled - Whether notes are sustained
+   */
+  setSustain(enabled) {
+    this.sustainEnabled = enabled;
+
+    if (!enabled && this.sustainedNotes.size > 0) {
+      // Release everything that was held by the pedal and is not playing again
+      const notes = Array.from(this.sustainedNotes).filter(note => !this.activeNotes.has(note));
+      this.sustainedNotes.clear();
+
+      if (this.synth && notes.length > 0) {
+        this.synth.triggerRelease(notes);
+      }
+    }
+  }
+
   /**
    * Release all currently playing notes
    */
   releaseAllNotes() {
     if (!this.synth) return;
 
+    // Notes held by the sustain pedal are released too
+    const sustainedNotes = Array.from(this.sustainedNotes);
+    this.sustainedNotes.clear();
+
     // Release all notes based on instrument type
     if (this.currentInstrument === 'piano') {
       // For sampler, we rely on the natural release
@@ -323,7 +395,7 @@ export class SynthEngine {
       this.lastNotePlayed = null;
     } else {
       // For synths, explicitly release all notes
-      const notes = Array.from(this.activeNotes);
+      const notes = Array.from(new Set([...this.activeNotes, ...sustainedNotes]));
       if (notes.length > 0) {
         this.synth.triggerRelease(notes);
         this.activeNotes.clear();
@@ -369,76 +441,69 @@ export class SynthEngine {
       this.synth.dispose();
     }
 
-    // Get preset settings for the instrument
-    const preset = this.instrumentPresets[instrument];
+    this.synth = this.buildInstrument(instrument).connect(this.volume);
+
+    // Apply portamento/glide if enabled
+    this.enableGlide(this.glideEnabled, this.glideTime);
 
+    return Promise.resolve();
+  }
+
+  /**
+   * Build a new, unconnected Tone instrument from a preset
+   * @param {string} instrument - Instrument name
+   * @param {Object} preset - Preset settings (defaults to the instrument's current preset)
+   * @returns {Tone.Instrument} The instrument
+   */
+  buildInstrument(instrument, preset = this.instrumentPresets[instrument]) {
     switch (instrument) {
       case 'amSynth':
-        this.synth = new Tone.AMSynth(preset).connect(this.volume);
-        break;
+        return new Tone.AMSynth(preset);
 
       case 'fmSynth':
-        this.synth = new Tone.FMSynth(preset).connect(this.volume);
-        break;
+        return new Tone.FMSynth(preset);
 
       case 'pluck':
-        this.synth = new Tone.PluckSynth(preset).connect(this.volume);
-        break;
+        return new Tone.PluckSynth(preset);
 
-      // Updated piano sample URL in the _createSynth method
       case 'piano':
-        this.synth = new Tone.Sampler({
-          urls: {
-            A0: "A0.mp3",
-            C1: "C1.mp3",
-            Ds1: "Ds1.mp3",
-            Fs1: "Fs1.mp3",
-            A1: "A1.mp3",
-            C2: "C2.mp3",
-            Ds2: "Ds2.mp3",
-            Fs2: "Fs2.mp3",
-            A2: "A2.mp3",
-            C3: "C3.mp3",
-            Ds3: "Ds3.mp3",
-            Fs3: "Fs3.mp3",
-            A3: "A3.mp3",
-            C4: "C4.mp3",
-            Ds4: "Ds4.mp3",
-            Fs4: "Fs4.mp3",
-            A4: "A4.mp3",
-            C5: "C5.mp3",
-            Ds5: "Ds5.mp3",
-            Fs5: "Fs5.mp3",
-            A5: "A5.mp3",
-            C6: "C6.mp3",
-            Ds6: "Ds6.mp3",
-            Fs6: "Fs6.mp3",
-            A6: "A6.mp3",
-            C7: "C7.mp3",
-            Ds7: "Ds7.mp3",
-            Fs7: "Fs7.mp3",
-            A7: "A7.mp3",
-            C8: "C8.mp3"
-          },
-          // Updated URL to correctly point to raw files
-          baseUrl: "https://raw.githubusercontent.com/Tonejs/audio/master/salamander/",
+        return new Tone.Sampler({
+          urls: preset.urls,
+          baseUrl: this.sampleBaseUrl,
           onload: () => {
             console.log('Piano samples loaded');
           }
-        }).connect(this.volume);
-        break;
-        
+        });
+
       case 'synth':
       default:
         // Default polyphonic synth
-        this.synth = new Tone.PolySynth(Tone.Synth, preset).connect(this.volume);
-        break;
+        return new Tone.PolySynth(Tone.Synth, preset || this.instrumentPresets.synth);
     }
+  }
 
-    // Apply portamento/glide if enabled
-    this.enableGlide(this.glideEnabled, this.glideTime);
+  /**
+   * Snapshot of the sound being played, so a loop track keeps it after the player moves on
+   * @returns {Object} { instrument, preset, scale, octave, root }
+   */
+  getSoundSettings() {
+    return {
+      instrument: this.currentInstrument,
+      preset: JSON.parse(JSON.stringify(this.instrumentPresets[this.currentInstrument])),
+      scale: this.currentScale,
+      octave: this.octave,
+      root: this.baseNote
+    };
+  }
 
-    return Promise.resolve();
+  /**
+   * Create a voice for a loop track, playing into the track's channel strip
+   * @param {Tone.ToneAudioNode} destination - Node the voice is connected to
+   * @param {Object} settings - Sound settings from getSoundSettings() (missing values use the current sound)
+   * @returns {TrackVoice} The voice
+   */
+  createVoice(destination, settings = {}) {
+    return new TrackVoice(this, destination, settings);
   }
 
   /**
@@ -455,6 +520,20 @@ export class SynthEngine {
     return false;
   }
 
+  /**
+   * Get the full note name (e.g. 'C4') for a scale index
+   * @param {number} noteIndex - Index of the note in the scale
+   * @param {string} scaleName - Scale name (defaults to the current scale)
+   * @param {number} octave - Octave number (defaults to the current octave)
+   * @returns {string|null} Note name, or null if the index is outside the scale
+   */
+  getFullNoteName(noteIndex, scaleName = this.currentScale, octave = this.octave) {
+    const scale = this.scales[scaleName] || this.scales.major;
+    if (noteIndex < 0 || noteIndex >= scale.length) return null;
+
+    return `${scale[noteIndex]}${octave}`;
+  }
+
   /**
    * Get the current scale notes
    * @returns {Array} Array of note names in the current scale
@@ -484,39 +563,57 @@ export class SynthEngine {
     // Convert 0-1 range to appropriate dB range (-60 to 0dB)
     const dbVolume = volume === 0 ? -Infinity : Tone.gainToDb(volume);
     this.volume.volume.value = dbVolume;
+    this.loopBus.volume.value = dbVolume;
   }
 
   /**
    * Set the amount of reverb effect
    * @param {number} amount - Reverb wet amount (0-1)
+   * @param {number} time - Audio context time of the change (defaults to now)
    */
-  setReverbAmount(amount) {
-    this.reverb.wet.value = amount;
+  setReverbAmount(amount, time) {
+    this._setParam(this.reverb.wet, amount, time);
   }
 
   /**
    * Set the amount of delay effect
    * @param {number} amount - Delay wet amount (0-1)
+   * @param {number} time - Audio context time of the change (defaults to now)
    */
-  setDelayAmount(amount) {
-    this.delay.wet.value = amount;
+  setDelayAmount(amount, time) {
+    this._setParam(this.delay.wet, amount, time);
   }
 
   /**
    * Set overall effect level (affects multiple parameters)
    * @param {number} value - Effect value (0-1)
+   * @param {number} time - Audio context time of the change (defaults to now)
    */
-  setEffectValue(value) {
+  setEffectValue(value, time) {
     // Adjust effect value based on sensitivity setting
     value = this._adjustEffectValue(value);
 
     // Apply effects
-    this.setReverbAmount(value * 0.7); // Max 70% wet reverb
-    this.setDelayAmount(value * 0.5); // Max 50% wet delay
+    this.setReverbAmount(value * 0.7, time); // Max 70% wet reverb
+    this.setDelayAmount(value * 0.5, time); // Max 50% wet delay
 
     // Adjust other parameters based on the effect value
-    this.delay.feedback.value = value * 0.4; // Max 40% feedback
-    this.delay.delayTime.value = 0.1 + value * 0.4; // 0.1 to 0.5 seconds
+    this._setParam(this.delay.feedback, value * 0.4, time); // Max 40% feedback
+    this._setParam(this.delay.delayTime, 0.1 + value * 0.4, time); // 0.1 to 0.5 seconds
+  }
+
+  /**
+   * Set a signal value now, or at a scheduled audio time
+   * @param {Tone.Param} param - Parameter to change
+   * @param {number} value - New value
+   * @param {number} time - Audio context time (defaults to now)
+   */
+  _setParam(param, value, time) {
+    if (time === undefined) {
+      param.value = value;
+    } else {
+      param.setValueAtTime(value, time);
+    }
   }
 
   /**
@@ -535,6 +632,15 @@ export class SynthEngine {
     }
   }
 
+  /**
+   * Set where the piano samples are loaded from
+   * Takes effect the next time the piano is built
+   * @param {string} baseUrl - Base URL of the sample files, ending with a slash
+   */
+  setSampleBaseUrl(baseUrl) {
+    this.sampleBaseUrl = baseUrl;
+  }
+
   /**
    * Set whether notes should auto-release
    * @param {boolean} enabled - Whether auto-release is enabled
@@ -0,0 +1,226 @@
+// synthetic-head-sources.js - Head-input sources that need no camera
+// Each one produces normalized x/y/z positions (-1 to 1) at a steady rate; the positions go
+// through the same smoothing and calibration as a tracked head, so the rest of the app
+// cannot tell them apart from the webcam
+import { HeadInputSource } from './head-input-source.js';
+import { createRandom } from './random.js';
+
+const KEYBOARD_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home'];
+
+export const SCRIPTED_PATTERNS = ['sweep', 'randomWalk'];
+
+/**
+ * Base class for sources that emit a position on a fixed timer
+ * Subclasses implement _position(time, delta) and may attach listeners in _attach()/_detach()
+ */
+class SyntheticHeadSource extends HeadInputSource {
+  constructor() {
+    super();
+    this.frameRate = 30;
+    this.position = { x: 0, y: 0, z: 0 };
+    this.intervalId = null;
+    this.startTime = 0;
+    this.lastTick = 0;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+
+    this.startTime = performance.now();
+    this.lastTick = this.startTime;
+    this._attach();
+    this.isRunning = true;
+
+    this.intervalId = setInterval(() => {
+      const now = performance.now();
+      const position = this._position((now - this.startTime) / 1000, (now - this.lastTick) / 1000);
+      this.lastTick = now;
+      this._emitPose(this._poseFromNormalized(position));
+    }, 1000 / this.frameRate);
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this._detach();
+    this.isRunning = false;
+  }
+
+  /**
+   * Position for the current frame
+   * @param {number} time - Seconds since start
+   * @param {number} delta - Seconds since the previous frame
+   * @returns {Object} { x, y, z }, each -1 to 1
+   */
+  _position(time, delta) {
+    return this.position;
+  }
+
+  _attach() {}
+
+  _detach() {}
+}
+
+/**
+ * Mouse or trackpad "virtual head": the pointer over an element moves x/y, the wheel moves z
+ */
+export class MouseHeadSource extends SyntheticHeadSource {
+  /**
+   * @param {HTMLElement} element - Area the pointer moves over (e.g. the camera container)
+   */
+  constructor(element) {
+    super();
+    this.element = element;
+    this.wheelStep = 0.002; // z change per wheel delta unit
+
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handleWheel = this._handleWheel.bind(this);
+  }
+
+  _attach() {
+    this.element.addEventListener('pointermove', this._handlePointerMove);
+    this.element.addEventListener('wheel', this._handleWheel, { passive: false });
+  }
+
+  _detach() {
+    this.element.removeEventListener('pointermove', this._handlePointerMove);
+    this.element.removeEventListener('wheel', this._handleWheel);
+  }
+
+  _handlePointerMove(event) {
+    const rect = this.element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    // Right and up are positive, like turning the head right and looking up
+    this.position.x = clamp(((event.clientX - rect.left) / rect.width) * 2 - 1);
+    this.position.y = clamp(1 - ((event.clientY - rect.top) / rect.height) * 2);
+  }
+
+  _handleWheel(event) {
+    event.preventDefault();
+    this.position.z = clamp(this.position.z - event.deltaY * this.wheelStep);
+  }
+}
+
+/**
+ * Keyboard "virtual head": arrows move x/y, Page Up/Page Down move z, Home recenters
+ * Positions move steadily while a key is held
+ */
+export class KeyboardHeadSource extends SyntheticHeadSource {
+  constructor() {
+    super();
+    this.speed = 1.2; // Normalized units per second
+    this.heldKeys = new Set();
+
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleKeyUp = this._handleKeyUp.bind(this);
+    this._handleBlur = () => this.heldKeys.clear();
+  }
+
+  _attach() {
+    // Capture phase, so the arrows move the head instead of a focused slider
+    window.addEventListener('keydown', this._handleKeyDown, true);
+    window.addEventListener('keyup', this._handleKeyUp, true);
+    window.addEventListener('blur', this._handleBlur);
+  }
+
+  _detach() {
+    window.removeEventListener('keydown', this._handleKeyDown, true);
+    window.removeEventListener('keyup', this._handleKeyUp, true);
+    window.removeEventListener('blur', this._handleBlur);
+    this.heldKeys.clear();
+  }
+
+  _position(time, delta) {
+    const step = this.speed * delta;
+    const pressed = (key) => this.heldKeys.has(key) ? 1 : 0;
+
+    this.position.x = clamp(this.position.x + (pressed('ArrowRight') - pressed('ArrowLeft')) * step);
+    this.position.y = clamp(this.position.y + (pressed('ArrowUp') - pressed('ArrowDown')) * step);
+    this.position.z = clamp(this.position.z + (pressed('PageUp') - pressed('PageDown')) * step);
+    return this.position;
+  }
+
+  _handleKeyDown(event) {
+    if (!KEYBOARD_KEYS.includes(event.key) || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target && ['INPUT', 'TEXTAREA'].includes(event.target.tagName) &&
+        event.target.type !== 'range') return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.key === 'Home') {
+      this.position = { x: 0, y: 0, z: 0 };
+    } else {
+      this.heldKeys.add(event.key);
+    }
+  }
+
+  _handleKeyUp(event) {
+    this.heldKeys.delete(event.key);
+  }
+}
+
+/**
+ * Scripted motion: sine sweeps or a seeded random walk, for hands-free testing
+ */
+export class ScriptedHeadSource extends SyntheticHeadSource {
+  /**
+   * @param {Object} options - { pattern: 'sweep' or 'randomWalk', period: seconds per x sweep,
+   *   seed: random walk seed, so a walk can be repeated exactly }
+   */
+  constructor({ pattern = 'sweep', period = 8, seed = 1 } = {}) {
+    super();
+    this.pattern = pattern;
+    this.period = period;
+    this.seed = seed;
+    this.random = null;
+    this.velocity = { x: 0, y: 0, z: 0 };
+  }
+
+  setPattern(pattern) {
+    if (SCRIPTED_PATTERNS.includes(pattern)) {
+      this.pattern = pattern;
+    }
+  }
+
+  _attach() {
+    this.random = createRandom(this.seed);
+    this.position = { x: 0, y: 0, z: 0 };
+    this.velocity = { x: 0, y: 0, z: 0 };
+  }
+
+  _position(time, delta) {
+    if (this.pattern === 'randomWalk') {
+      // A fixed step instead of the timer's delta keeps a seeded walk identical between runs
+      return this._randomWalk(1 / this.frameRate);
+    }
+
+    // Unrelated periods per axis, so the sweeps cover every combination over time
+    const phase = (2 * Math.PI * time) / this.period;
+    this.position.x = Math.sin(phase);
+    this.position.y = Math.sin(phase / 1.5) * 0.8;
+    this.position.z = Math.sin(phase / 2.3) * 0.6;
+    return this.position;
+  }
+
+  _randomWalk(delta) {
+    // Velocity drifts randomly and is damped; walls bounce the position back
+    Object.keys(this.position).forEach(axis => {
+      this.velocity[axis] = this.velocity[axis] * 0.95 + (this.random() - 0.5) * 0.6;
+      let value = this.position[axis] + this.velocity[axis] * delta;
+      if (value > 1 || value < -1) {
+        value = Math.sign(value) * 2 - value;
+        this.velocity[axis] = -this.velocity[axis];
+      }
+      this.position[axis] = clamp(value);
+    });
+    return this.position;
+  }
+}
+
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
@@ -0,0 +1,92 @@
+// track-voice.js - The instrument a loop track is played back on
+// Every loop track has its own voice with the instrument, preset, scale and octave it was
+// recorded with, so changing the live sound does not change the loops
+
+export class TrackVoice {
+  /**
+   * @param {SynthEngine} synthEngine - Engine that builds the instrument and names the notes
+   * @param {Tone.ToneAudioNode} destination - Node the voice plays into
+   * @param {Object} settings - Sound settings ({ instrument, preset, scale, octave })
+   */
+  constructor(synthEngine, destination, settings = {}) {
+    this.synthEngine = synthEngine;
+    this.instrument = settings.instrument || synthEngine.currentInstrument;
+    this.scale = settings.scale || synthEngine.currentScale;
+    this.octave = settings.octave !== undefined ? settings.octave : synthEngine.octave;
+
+    this.synth = synthEngine.buildInstrument(this.instrument, settings.preset).connect(destination);
+    this.activeNotes = new Set();
+    this.lastNote = null;
+  }
+
+  /**
+   * Play a note from the voice's scale
+   * @param {number} noteIndex - Index of the note in the scale
+   * @param {number} velocity - Velocity of the note (0-1)
+   * @param {number} time - Audio context time to start the note
+   * @param {number} octave - Octave the note was recorded in (defaults to the voice's octave)
+   */
+  playNote(noteIndex, velocity = 0.7, time, octave = this.octave) {
+    const fullNoteName = this.synthEngine.getFullNoteName(noteIndex, this.scale, octave);
+    if (!fullNoteName) return;
+
+    velocity = this.synthEngine._adjustVelocity(velocity);
+
+    if (this.instrument === 'piano') {
+      // Samples play out with their natural decay
+      this.synth.triggerAttackRelease(fullNoteName, this.synthEngine.noteReleaseDuration * 2, time, velocity);
+    } else {
+      this.synth.triggerAttack(fullNoteName, time, velocity);
+    }
+
+    this.activeNotes.add(fullNoteName);
+    this.lastNote = fullNoteName;
+  }
+
+  /**
+   * Release a note from the voice's scale
+   * @param {number} noteIndex - Index of the note in the scale
+   * @param {number} time - Audio context time of the release
+   * @param {number} octave - Octave the note was played in (defaults to the voice's octave)
+   */
+  releaseNote(noteIndex, time, octave = this.octave) {
+    const fullNoteName = this.synthEngine.getFullNoteName(noteIndex, this.scale, octave);
+    if (!fullNoteName || !this.activeNotes.has(fullNoteName)) return;
+
+    this.activeNotes.delete(fullNoteName);
+
+    if (this._isPolyphonic()) {
+      this.synth.triggerRelease(fullNoteName, time);
+    } else if (this.lastNote === fullNoteName) {
+      // Monophonic synths only release the note they are currently playing
+      this.synth.triggerRelease(time);
+      this.lastNote = null;
+    }
+  }
+
+  /**
+   * Release every sounding note
+   * @param {number} time - Audio context time of the release (defaults to now)
+   */
+  releaseAll(time) {
+    if (this.activeNotes.size === 0) return;
+
+    if (this._isPolyphonic()) {
+      this.synth.triggerRelease(Array.from(this.activeNotes), time);
+    } else {
+      this.synth.triggerRelease(time);
+    }
+
+    this.activeNotes.clear();
+    this.lastNote = null;
+  }
+
+  dispose() {
+    this.synth.dispose();
+    this.activeNotes.clear();
+  }
+
+  _isPolyphonic() {
+    return this.synth instanceof Tone.PolySynth || this.synth instanceof Tone.Sampler;
+  }
+}
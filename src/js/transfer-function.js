@@ -0,0 +1,57 @@
+// transfer-function.js - Per-axis response shaping of the normalized head position
+// Applied after calibration: a center dead zone, a response curve, the output range,
+// inversion and mirroring. Input and output are both -1 to 1.
+
+export const TRANSFER_CURVES = ['linear', 'exponent', 'sCurve'];
+
+/**
+ * Settings that leave the position unchanged
+ * @returns {Object} { deadZone, curve, exponent, min, max, invert, mirror }
+ */
+export function defaultTransferSettings() {
+  return {
+    deadZone: 0,       // Share of the half range around the center that reads as center
+    curve: 'linear',   // One of TRANSFER_CURVES
+    exponent: 1,       // Curve strength: above 1 calms the center (exponent) or the ends (sCurve)
+    min: -1,           // Output at the lowest input
+    max: 1,            // Output at the highest input
+    invert: false,     // Swap the directions
+    mirror: false      // Fold at the center: both directions give the same output, min at center
+  };
+}
+
+/**
+ * Shape one normalized value
+ * @param {number} value - Calibrated position, -1 to 1
+ * @param {Object} settings - From defaultTransferSettings()
+ * @returns {number} Shaped position, between settings.min and settings.max
+ */
+export function applyTransfer(value, settings) {
+  const clamped = Math.max(-1, Math.min(1, value));
+  const sign = clamped < 0 ? -1 : 1;
+  const exponent = Math.max(0.1, settings.exponent);
+
+  // Distance from the center, with the dead zone removed and the rest stretched to fill 0-1
+  let magnitude = Math.abs(clamped);
+  const deadZone = Math.max(0, Math.min(0.95, settings.deadZone));
+  magnitude = magnitude <= deadZone ? 0 : (magnitude - deadZone) / (1 - deadZone);
+
+  if (settings.curve === 'exponent') {
+    magnitude = Math.pow(magnitude, exponent);
+  }
+
+  // Position along the output range, 0-1
+  let unit = settings.mirror ? magnitude : (sign * magnitude + 1) / 2;
+
+  if (settings.curve === 'sCurve') {
+    const rising = Math.pow(unit, exponent);
+    const falling = Math.pow(1 - unit, exponent);
+    unit = rising + falling > 0 ? rising / (rising + falling) : unit;
+  }
+
+  if (settings.invert) {
+    unit = 1 - unit;
+  }
+
+  return settings.min + unit * (settings.max - settings.min);
+}
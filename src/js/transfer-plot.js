@@ -0,0 +1,86 @@
+// transfer-plot.js - Draws an axis transfer function with the live head position on it
+import { applyTransfer } from './transfer-function.js';
+
+export class TransferPlot {
+  /**
+   * @param {HTMLCanvasElement} canvas - Square canvas to draw on
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.settings = null;
+    this.input = null;
+    this.padding = 12;
+  }
+
+  /**
+   * Draw a transfer function
+   * @param {Object} settings - Transfer settings of the axis
+   */
+  setSettings(settings) {
+    this.settings = settings;
+    this.draw();
+  }
+
+  /**
+   * Mark the current input position on the curve
+   * @param {number|null} input - Calibrated position before shaping, -1 to 1
+   */
+  setInput(input) {
+    this.input = input;
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.settings) return;
+
+    const styles = getComputedStyle(document.documentElement);
+    const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+    // Grid: the center lines and the -1/1 frame
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(this._toX(-1), this._toY(1), this._toX(1) - this._toX(-1), this._toY(-1) - this._toY(1));
+    ctx.beginPath();
+    ctx.moveTo(this._toX(0), this._toY(-1));
+    ctx.lineTo(this._toX(0), this._toY(1));
+    ctx.moveTo(this._toX(-1), this._toY(0));
+    ctx.lineTo(this._toX(1), this._toY(0));
+    ctx.stroke();
+
+    // The curve
+    ctx.strokeStyle = color('--secondary-color', '#4cc9f0');
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let step = 0; step <= 100; step++) {
+      const input = step / 50 - 1;
+      const x = this._toX(input);
+      const y = this._toY(applyTransfer(input, this.settings));
+      if (step === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+
+    // The live position
+    if (typeof this.input === 'number') {
+      ctx.fillStyle = color('--accent-color', '#f72585');
+      ctx.beginPath();
+      ctx.arc(this._toX(this.input), this._toY(applyTransfer(this.input, this.settings)), 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  _toX(value) {
+    return this.padding + (value + 1) / 2 * (this.canvas.width - this.padding * 2);
+  }
+
+  _toY(value) {
+    return this.canvas.height - this.padding - (value + 1) / 2 * (this.canvas.height - this.padding * 2);
+  }
+}
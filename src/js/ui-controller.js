@@ -12,6 +12,7 @@ export class UIController {
     this.headPositionIndicator = elements.headPositionIndicator;
     this.trackingStatusIndicator = elements.trackingStatusIndicator;
     this.trackingStatusText = elements.trackingStatusText;
+    this.beatIndicator = elements.beatIndicator;
     
     // Sliders and value displays
     this.volumeValue = elements.volumeValue;
@@ -152,6 +153,31 @@ export class UIController {
     this._updateHeadIndicator(position);
   }
   
+  /**
+   * Show the current beat, for players who cannot hear the click well
+   * @param {Object} beatInfo - { beat, beatsPerBar, countIn, beatsLeft }
+   */
+  setBeat({ beat, beatsPerBar, countIn, beatsLeft }) {
+    if (!this.beatIndicator) return;
+    
+    // Rebuild the dots when the time signature changes
+    if (this.beatIndicator.children.length !== beatsPerBar) {
+      this.beatIndicator.innerHTML = '';
+      for (let i = 0; i < beatsPerBar; i++) {
+        const dot = document.createElement('div');
+        dot.className = 'beat-dot';
+        this.beatIndicator.appendChild(dot);
+      }
+    }
+    
+    Array.from(this.beatIndicator.children).forEach((dot, index) => {
+      dot.classList.toggle('active', index === beat);
+      dot.classList.toggle('downbeat', index === 0);
+      dot.textContent = countIn && index === beat ? beatsLeft : '';
+    });
+    this.beatIndicator.classList.toggle('count-in', countIn);
+  }
+  
   /**
    * Update the head position indicator
    * @param {Object} position - Position object with x, y, z coordinates
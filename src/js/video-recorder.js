@@ -0,0 +1,222 @@
+// video-recorder.js - Records a performance video: webcam, overlays and synth audio in one WebM
+// Each frame is composited on a canvas (camera, Face Mesh overlay, notes strip, note name),
+// and the canvas stream is recorded together with the master output through MediaRecorder
+
+const VIDEO_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+export const VIDEO_LAYERS = ['camera', 'faceMesh', 'notesGrid', 'noteName'];
+
+export class PerformanceVideoRecorder {
+  /**
+   * @param {HeadTracker} headTracker - Provides the webcam video and the Face Mesh overlay canvas
+   * @param {NotesGrid} notesGrid - Provides the notes and the highlighted note
+   * @param {SynthEngine} synthEngine - Its limiter output is recorded as the audio track
+   */
+  constructor(headTracker, notesGrid, synthEngine) {
+    this.headTracker = headTracker;
+    this.notesGrid = notesGrid;
+    this.synthEngine = synthEngine;
+
+    this.layers = { camera: true, faceMesh: true, notesGrid: true, noteName: true };
+    this.frameRate = 30;
+    this.stripHeight = 72;       // Height of the notes strip below the camera image
+
+    this.canvas = null;
+    this.canvasCtx = null;
+    this.mediaRecorder = null;
+    this.audioDestination = null;
+    this.chunks = [];
+    this.animationFrameId = null;
+    this.startTime = 0;
+  }
+
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+      this._mimeType() !== null;
+  }
+
+  isRecording() {
+    return this.mediaRecorder !== null && this.mediaRecorder.state === 'recording';
+  }
+
+  /**
+   * Turn an overlay layer on or off
+   * @param {string} layer - One of VIDEO_LAYERS
+   * @param {boolean} enabled - Whether the layer is drawn
+   */
+  setLayer(layer, enabled) {
+    if (layer in this.layers) {
+      this.layers[layer] = enabled;
+    }
+  }
+
+  /**
+   * Start recording
+   */
+  start() {
+    if (this.isRecording()) return;
+    if (!this.isSupported()) {
+      throw new Error('Video recording is not supported in this browser');
+    }
+    if (!this.synthEngine.limiter) {
+      throw new Error('The audio engine has not been started');
+    }
+
+    const video = this.headTracker.getCameraFeed();
+    const width = video.videoWidth || 640;
+    const height = video.videoHeight || 480;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height + (this.layers.notesGrid ? this.stripHeight : 0);
+    this.canvasCtx = this.canvas.getContext('2d');
+    this._drawFrame();
+
+    // Synth audio joins the canvas video in one stream
+    this.audioDestination = Tone.getContext().createMediaStreamDestination();
+    this.synthEngine.limiter.connect(this.audioDestination);
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+      ...this.audioDestination.stream.getAudioTracks()
+    ]);
+
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(stream, { mimeType: this._mimeType() });
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.mediaRecorder.start(1000);
+    this.startTime = performance.now();
+
+    const render = () => {
+      this._drawFrame();
+      this.animationFrameId = requestAnimationFrame(render);
+    };
+    this.animationFrameId = requestAnimationFrame(render);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob>} The WebM video
+   */
+  stop() {
+    if (!this.isRecording()) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      this.mediaRecorder.onstop = () => {
+        const blob = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' });
+        this._cleanup();
+        resolve(blob);
+      };
+      this.mediaRecorder.stop();
+    });
+  }
+
+  /**
+   * Seconds since recording started
+   */
+  getElapsed() {
+    return this.isRecording() ? (performance.now() - this.startTime) / 1000 : 0;
+  }
+
+  _drawFrame() {
+    const ctx = this.canvasCtx;
+    const video = this.headTracker.getCameraFeed();
+    const overlay = this.headTracker.getCanvasElement();
+    const width = this.canvas.width;
+    const imageHeight = this.canvas.height - (this.layers.notesGrid ? this.stripHeight : 0);
+
+    ctx.fillStyle = '#1e1e2e';
+    ctx.fillRect(0, 0, width, this.canvas.height);
+
+    if (this.layers.camera && video.readyState >= 2) {
+      ctx.drawImage(video, 0, 0, width, imageHeight);
+    }
+    if (this.layers.faceMesh && overlay.width > 0) {
+      ctx.drawImage(overlay, 0, 0, width, imageHeight);
+    }
+    if (this.layers.notesGrid) {
+      this._drawNotesStrip(imageHeight, width);
+    }
+    if (this.layers.noteName) {
+      this._drawNoteName();
+    }
+  }
+
+  _drawNotesStrip(top, width) {
+    const ctx = this.canvasCtx;
+    const notes = this.notesGrid.notes;
+    if (notes.length === 0) return;
+
+    const gap = 6;
+    const noteWidth = (width - gap * (notes.length + 1)) / notes.length;
+    const noteHeight = this.stripHeight - gap * 2;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${Math.round(noteHeight * 0.35)}px sans-serif`;
+
+    notes.forEach((note, index) => {
+      const x = gap + index * (noteWidth + gap);
+      const active = index === this.notesGrid.activeNoteIndex;
+      const colorInfo = this.notesGrid.noteBaseColors[note] ||
+        this.notesGrid.noteBaseColors[note.charAt(0)] || { hue: 200 };
+
+      ctx.fillStyle = `hsl(${colorInfo.hue}, 70%, ${active ? 65 : 35}%)`;
+      ctx.fillRect(x, top + gap, noteWidth, noteHeight);
+      if (active) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(x, top + gap, noteWidth, noteHeight);
+      }
+
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(this.notesGrid.getDisplayNameAtIndex(index), x + noteWidth / 2, top + gap + noteHeight / 2);
+    });
+  }
+
+  _drawNoteName() {
+    const index = this.notesGrid.activeNoteIndex;
+    if (index < 0) return;
+
+    const ctx = this.canvasCtx;
+    const name = `${this.notesGrid.getDisplayNameAtIndex(index)}${this.synthEngine.octave}`;
+    const size = Math.round(this.canvas.width / 10);
+
+    ctx.font = `bold ${size}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = Math.max(2, size / 12);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.strokeText(name, size / 3, size / 3);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(name, size / 3, size / 3);
+  }
+
+  _mimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  _cleanup() {
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+
+    this.mediaRecorder.stream.getTracks().forEach(track => track.stop());
+    this.mediaRecorder = null;
+
+    this.synthEngine.limiter.disconnect(this.audioDestination);
+    this.audioDestination = null;
+    this.canvas = null;
+    this.canvasCtx = null;
+    this.chunks = [];
+  }
+}
@@ -0,0 +1,67 @@
+// wav-encoder.js - Encodes audio buffers as PCM WAV files
+
+/**
+ * Encode an audio buffer as a WAV file
+ * Samples are clipped to [-1, 1] and rounded without dither, so equal input gives equal bytes
+ * @param {AudioBuffer|Tone.ToneAudioBuffer} buffer - Audio to encode
+ * @param {number} bitDepth - 16 or 24
+ * @returns {ArrayBuffer} File contents
+ */
+export function encodeWav(buffer, bitDepth = 16) {
+  if (bitDepth !== 16 && bitDepth !== 24) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+
+  const channels = buffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataLength = buffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+
+  // RIFF header and format chunk
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);                          // Chunk size
+  view.setUint16(20, 1, true);                           // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  // Interleaved little-endian samples
+  const channelData = [];
+  for (let channel = 0; channel < channels; channel++) {
+    channelData.push(buffer.getChannelData(channel));
+  }
+
+  const maxValue = Math.pow(2, bitDepth - 1);
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+      const value = Math.round(sample < 0 ? sample * maxValue : sample * (maxValue - 1));
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return view.buffer;
+}
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
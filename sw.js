@@ -0,0 +1,76 @@
+// sw.js - Service worker for offline installs
+// Pre-caches the app and every third-party asset on install. The app's own files are fetched
+// from the network first, so a new release reaches installed copies, with the cache as the
+// offline fallback; the versioned libraries, models and samples are answered from the cache
+// first. The asset base URLs come from the registration URL (see asset-loader.js)
+importScripts('src/js/asset-manifest.js');
+
+// Bump when the cache layout changes; app updates are picked up without it
+const CACHE_NAME = 'headsynth-offline-v1';
+
+const manifest = self.HEADSYNTH_ASSET_MANIFEST;
+const baseUrls = JSON.parse(new URL(self.location).searchParams.get('baseUrls') || 'null') ||
+  manifest.profiles.offline;
+
+const PRECACHE_URLS = [
+  ...manifest.appFiles,
+  ...Object.keys(manifest.files).flatMap(group =>
+    manifest.files[group].map(file => `${baseUrls[group]}${file}`))
+].map(url => new URL(url, self.registration.scope).href);
+
+const APP_URLS = new Set(manifest.appFiles.map(file => new URL(file, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches of older versions
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('headsynth-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') return;
+
+  const url = new URL(event.request.url);
+  const isAppFile = event.request.mode === 'navigate' || APP_URLS.has(url.origin + url.pathname);
+  event.respondWith(isAppFile ? networkFirst(event.request) : cacheFirst(event.request));
+});
+
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request, { ignoreSearch: true })
+      .then(cached => cached || Response.error()));
+}
+
+function cacheFirst(request) {
+  return caches.match(request, { ignoreSearch: true }).then(cached => {
+    if (cached) return cached;
+
+    // Anything else same-origin is kept once fetched, so it is there next time offline
+    return fetch(request).then(response => {
+      if (response.ok && new URL(request.url).origin === self.location.origin) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    });
+  });
+}
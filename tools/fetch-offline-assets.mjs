@@ -0,0 +1,45 @@
+// fetch-offline-assets.mjs - Downloads every third-party asset into vendor/ for offline installs
+// Usage, from the app directory: node tools/fetch-offline-assets.mjs
+// Files come from the 'cdn' profile of src/js/asset-manifest.js and land where the
+// 'offline' profile expects them. Existing files are kept; delete vendor/ to refresh.
+import { mkdir, writeFile, access } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+await import(pathToFileURL(join(root, 'src/js/asset-manifest.js')).href);
+const manifest = globalThis.HEADSYNTH_ASSET_MANIFEST;
+
+let failed = 0;
+for (const [group, files] of Object.entries(manifest.files)) {
+  for (const file of files) {
+    const source = `${manifest.profiles.cdn[group]}${file}`;
+    const target = join(root, manifest.profiles.offline[group], file);
+
+    try {
+      await access(target);
+      continue;
+    } catch {
+      // Not downloaded yet
+    }
+
+    try {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, Buffer.from(await response.arrayBuffer()));
+      console.log(`${group}: ${file}`);
+    } catch (error) {
+      failed++;
+      console.error(`${group}: ${file} failed (${source}): ${error.message}`);
+    }
+  }
+}
+
+if (failed > 0) {
+  console.error(`${failed} files could not be downloaded`);
+  process.exit(1);
+}
+console.log('All offline assets are in place');